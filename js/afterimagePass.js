@@ -0,0 +1,152 @@
+/**
+ * AfterimagePass.js
+ * Cheap motion trails for low-end devices: chosen objects are drawn into an
+ * offscreen feedback buffer that keeps a fading copy of earlier frames, and
+ * the buffer is laid under the rest of the scene
+ */
+
+import { CONFIG } from './config.js';
+
+// Objects on this layer skip the normal pass and go through the feedback buffer
+export const AFTERIMAGE_LAYER = 1;
+
+// Full-screen quad already in clip space
+const QUAD_VERTEX_SHADER = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Previous frame dimmed; the small subtraction stops 8-bit rounding from
+// leaving faint ghosts that never fade out
+const FADE_FRAGMENT_SHADER = `
+    uniform sampler2D map;
+    uniform float persistence;
+    varying vec2 vUv;
+
+    void main() {
+        gl_FragColor = max(texture2D(map, vUv) * persistence - 1.0 / 255.0, 0.0);
+    }
+`;
+
+const COPY_FRAGMENT_SHADER = `
+    uniform sampler2D map;
+    varying vec2 vUv;
+
+    void main() {
+        gl_FragColor = texture2D(map, vUv);
+    }
+`;
+
+export class AfterimagePass {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.persistence = CONFIG.FIREWORKS.TRAILS.PERSISTENCE; // Brightness kept per 1/60 s
+        this.clock = new THREE.Clock();
+
+        // Ping-pong targets: read holds last frame, write receives this one
+        this.bufferSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.readTarget = this.createTarget();
+        this.writeTarget = this.createTarget();
+
+        const quadMaterial = (fragmentShader, options) => new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: null },
+                persistence: { value: 1 }
+            },
+            vertexShader: QUAD_VERTEX_SHADER,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false,
+            ...options
+        });
+        this.fadeMaterial = quadMaterial(FADE_FRAGMENT_SHADER, { blending: THREE.NoBlending });
+        // Buffer colours already include the particles' alpha, so add them as-is
+        this.copyMaterial = quadMaterial(COPY_FRAGMENT_SHADER, {
+            transparent: true,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneFactor
+        });
+
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.fadeMaterial);
+        this.quad.frustumCulled = false;
+    }
+
+    /**
+     * Create a colour-only render target the size of the drawing buffer
+     */
+    createTarget() {
+        return new THREE.WebGLRenderTarget(this.bufferSize.x, this.bufferSize.y, {
+            depthBuffer: false
+        });
+    }
+
+    /**
+     * Draw an object through the feedback buffer instead of the normal pass
+     * @param {THREE.Object3D} object
+     */
+    add(object) {
+        object.layers.set(AFTERIMAGE_LAYER);
+    }
+
+    /**
+     * Render the scene with afterimages (replaces renderer.render)
+     */
+    render(scene, camera) {
+        const renderer = this.renderer;
+        const autoClear = renderer.autoClear;
+        const cameraLayers = camera.layers.mask;
+
+        // Frame-rate independent fade (capped so a stall doesn't wipe the buffer)
+        const frames = Math.min(this.clock.getDelta() * 60, 4);
+
+        // Last frame, dimmed, into the write target
+        renderer.setRenderTarget(this.writeTarget);
+        this.quad.material = this.fadeMaterial;
+        this.fadeMaterial.uniforms.map.value = this.readTarget.texture;
+        this.fadeMaterial.uniforms.persistence.value = Math.pow(this.persistence, frames);
+        renderer.render(this.quad, this.quadCamera);
+
+        // This frame's afterimage objects on top
+        renderer.autoClear = false;
+        camera.layers.set(AFTERIMAGE_LAYER);
+        renderer.render(scene, camera);
+        camera.layers.mask = cameraLayers;
+
+        // Screen: the buffer first, then everything else over it
+        renderer.setRenderTarget(null);
+        renderer.clear();
+        this.quad.material = this.copyMaterial;
+        this.copyMaterial.uniforms.map.value = this.writeTarget.texture;
+        renderer.render(this.quad, this.quadCamera);
+        renderer.render(scene, camera);
+        renderer.autoClear = autoClear;
+
+        [this.readTarget, this.writeTarget] = [this.writeTarget, this.readTarget];
+    }
+
+    /**
+     * Match the drawing buffer after a resize (clears the trails)
+     */
+    setSize() {
+        this.renderer.getDrawingBufferSize(this.bufferSize);
+        this.readTarget.setSize(this.bufferSize.x, this.bufferSize.y);
+        this.writeTarget.setSize(this.bufferSize.x, this.bufferSize.y);
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.readTarget.dispose();
+        this.writeTarget.dispose();
+        this.fadeMaterial.dispose();
+        this.copyMaterial.dispose();
+        this.quad.geometry.dispose();
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * AirPointer.js
+ * Turns the index fingertip into an on-screen cursor that hovers and selects
+ * fortune scrolls through the same raycast as mouse/touch input
+ */
+
+import { CONFIG } from './config.js';
+
+export class AirPointer {
+    constructor(camera, scrollManager) {
+        this.camera = camera;
+        this.scrollManager = scrollManager;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();   // Smoothed normalized device coordinates
+
+        this.enabled = CONFIG.POINTER.ENABLED;
+        this.mirror = CONFIG.CAMERA.MIRROR;  // Set from CameraSettings (see App.applyCameraMirror)
+        this.hand = null;                     // Hand currently driving the pointer
+        this.hasPosition = false;
+        this.lastFrameTime = 0;
+
+        // Hover / dwell state
+        this.hoveredIndex = null;
+        this.selectedIndex = null;            // Scroll this pointer selected itself (not keys, mouse or fingers)
+        this.dwellTime = 0;
+
+        this.cursorElement = document.getElementById('air-cursor');
+    }
+
+    /**
+     * Enable or disable pointer mode
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.release();
+        }
+        console.log(`👉 Air pointer ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Toggle pointer mode
+     * @returns {boolean} New enabled state
+     */
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Receive landmarks for a tracked hand (called every detector frame)
+     * @param {string} hand - Hand label
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     */
+    onHandFrame(hand, landmarks) {
+        if (!this.enabled) return;
+        if (CONFIG.GESTURE.SELECT_HAND && hand !== CONFIG.GESTURE.SELECT_HAND) return;
+
+        // Stick with one hand while it stays in view
+        if (this.hand && hand !== this.hand && this.isTracking()) return;
+        this.hand = hand;
+
+        // Map the reachable inner area of the camera frame to the full screen
+        const margin = CONFIG.POINTER.EDGE_MARGIN;
+        const tip = landmarks[8];
+        const nx = Math.min(1, Math.max(0, (tip.x - margin) / (1 - 2 * margin)));
+        const ny = Math.min(1, Math.max(0, (tip.y - margin) / (1 - 2 * margin)));
+
+        // Webcam preview is mirrored, so flip x to make pointing feel natural
+        const targetX = this.mirror ? 1 - nx * 2 : nx * 2 - 1;
+        const targetY = 1 - ny * 2;
+
+        if (!this.hasPosition) {
+            this.pointer.set(targetX, targetY);
+            this.hasPosition = true;
+        } else {
+            // Exponential smoothing against fingertip jitter
+            const smoothing = CONFIG.POINTER.SMOOTHING;
+            this.pointer.x += (targetX - this.pointer.x) * (1 - smoothing);
+            this.pointer.y += (targetY - this.pointer.y) * (1 - smoothing);
+        }
+
+        this.lastFrameTime = performance.now();
+    }
+
+    /**
+     * Handle a pinch from the pointing hand (confirms the hovered scroll)
+     * @param {string} hand - Hand that pinched
+     */
+    onPinch(hand) {
+        if (!this.enabled || hand !== this.hand) return;
+        if (CONFIG.POINTER.SELECT_MODE === 'dwell') return;
+
+        this.confirm();
+    }
+
+    /**
+     * Check whether the pointing hand is still being tracked
+     */
+    isTracking() {
+        return this.hasPosition &&
+               performance.now() - this.lastFrameTime < CONFIG.POINTER.LOST_TIMEOUT_MS;
+    }
+
+    /**
+     * Update cursor, hover and dwell (called every frame)
+     * @param {number} deltaTime - Time since last frame (seconds)
+     */
+    update(deltaTime) {
+        if (!this.enabled) return;
+
+        if (!this.isTracking()) {
+            this.release();
+            return;
+        }
+
+        // Raycast from the cursor exactly like a mouse click
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        this.setHovered(this.scrollManager.getScrollAtPosition(this.raycaster));
+
+        // Dwell selection
+        if (this.hoveredIndex !== null && CONFIG.POINTER.SELECT_MODE !== 'pinch') {
+            this.dwellTime += deltaTime;
+            if (this.dwellTime >= CONFIG.POINTER.DWELL_TIME) {
+                this.confirm();
+            }
+        }
+
+        this.updateCursor();
+    }
+
+    /**
+     * Change hovered scroll, driving ScrollManager's hover state
+     * @param {number|null} index - Scroll index under the cursor
+     */
+    setHovered(index) {
+        if (index === this.hoveredIndex) return;
+
+        this.dwellTime = 0;
+
+        // Only clear a selection this pointer made, and only while it still stands
+        if (this.selectedIndex !== null && this.scrollManager.selectedScrollIndex === this.selectedIndex) {
+            this.scrollManager.clearSelection();
+        }
+        this.selectedIndex = null;
+
+        // Hovering selects, unless something else already has
+        this.hoveredIndex = index;
+        if (index !== null && this.scrollManager.selectedScrollIndex === null) {
+            this.scrollManager.selectScroll(index);
+            if (this.scrollManager.selectedScrollIndex === index) {
+                this.selectedIndex = index;
+            }
+        }
+    }
+
+    /**
+     * Confirm the hovered scroll
+     */
+    confirm() {
+        if (this.hoveredIndex === null) return;
+        if (this.scrollManager.selectedScrollIndex !== this.hoveredIndex) return;
+
+        console.log(`👉 Air pointer confirmed scroll ${this.hoveredIndex + 1}`);
+        this.scrollManager.confirmSelection();
+        this.hoveredIndex = null;
+        this.selectedIndex = null;
+        this.dwellTime = 0;
+    }
+
+    /**
+     * Hide the cursor and drop any hover when the hand is gone
+     */
+    release() {
+        this.setHovered(null);
+        this.hasPosition = false;
+        this.hand = null;
+
+        if (this.cursorElement) {
+            this.cursorElement.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Position the DOM cursor and show dwell progress
+     */
+    updateCursor() {
+        if (!this.cursorElement) return;
+
+        const x = (this.pointer.x + 1) / 2 * window.innerWidth;
+        const y = (1 - this.pointer.y) / 2 * window.innerHeight;
+        const dwellProgress = this.hoveredIndex !== null && CONFIG.POINTER.SELECT_MODE !== 'pinch'
+            ? Math.min(this.dwellTime / CONFIG.POINTER.DWELL_TIME, 1)
+            : 0;
+
+        this.cursorElement.classList.remove('hidden');
+        this.cursorElement.classList.toggle('hovering', this.hoveredIndex !== null);
+        this.cursorElement.style.transform = `translate(${x}px, ${y}px)`;
+        this.cursorElement.style.setProperty('--dwell', dwellProgress);
+    }
+}
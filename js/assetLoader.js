@@ -0,0 +1,155 @@
+/**
+ * AssetLoader.js
+ * Loads the runtime libraries (MediaPipe Hands, Three.js) from
+ * the local vendor folder, falling back to the CDN when allowed
+ */
+
+import { CONFIG } from './config.js';
+
+// Scripts to load, in order, and the global each one defines
+// Only required assets stop the app; without MediaPipe it runs on keyboard, mouse and touch
+const ASSETS = [
+    { name: 'three', label: 'Three.js', dir: 'three', file: 'three.min.js', global: 'THREE', required: true },
+    { name: 'hands', label: 'MediaPipe Hands', dir: 'mediapipe/hands', file: 'hands.js', global: 'Hands', required: false }
+];
+
+export class AssetLoader {
+    constructor() {
+        this.baseUrls = new Map(); // asset name → folder it was actually loaded from
+        this.errors = new Map();   // asset name → Error, for optional assets that failed
+
+        // Callback for progress messages: (text)
+        this.onProgress = null;
+    }
+
+    /**
+     * Load every asset, trying the local copy first
+     * Optional assets that fail are recorded (see getError) instead of thrown
+     * @throws {Error} Names the required asset that could not be loaded from anywhere
+     */
+    async loadAll() {
+        for (const asset of ASSETS) {
+            try {
+                await this.load(asset);
+            } catch (error) {
+                if (asset.required) throw error;
+                this.errors.set(asset.name, error);
+            }
+        }
+    }
+
+    /**
+     * Try an asset again (e.g. from the gesture banner's Retry)
+     * @param {string} name - Asset name ('hands', 'three')
+     * @throws {Error} If it still can't be loaded
+     */
+    async reload(name) {
+        const asset = ASSETS.find(entry => entry.name === name);
+        try {
+            await this.load(asset);
+            this.errors.delete(name);
+        } catch (error) {
+            this.errors.set(name, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Why an optional asset failed to load
+     * @param {string} name - Asset name
+     * @returns {Error|null} Null if it loaded (or hasn't been tried)
+     */
+    getError(name) {
+        return this.errors.get(name) || null;
+    }
+
+    /**
+     * Load one asset from the first source that works
+     */
+    async load(asset) {
+        // Already on the page (e.g. added by a custom index.html)
+        if (window[asset.global]) {
+            this.baseUrls.set(asset.name, this.getLocalBase(asset));
+            return;
+        }
+
+        const sources = [{ base: this.getLocalBase(asset), kind: 'local' }];
+        if (CONFIG.ASSETS.CDN_FALLBACK && CONFIG.ASSETS.CDN[asset.name]) {
+            sources.push({ base: CONFIG.ASSETS.CDN[asset.name], kind: 'CDN' });
+        }
+
+        const failures = [];
+        for (const { base, kind } of sources) {
+            const url = `${base}/${asset.file}`;
+            this.reportProgress(`Loading ${asset.label} (${kind})...`);
+
+            try {
+                await this.loadScript(url);
+                if (!window[asset.global]) {
+                    throw new Error(`script did not define ${asset.global}`);
+                }
+                this.baseUrls.set(asset.name, base);
+                console.log(`📦 ${asset.label} loaded from ${kind} copy`);
+                return;
+            } catch (error) {
+                console.warn(`⚠️ ${asset.label} failed to load from ${url}:`, error.message);
+                failures.push(`${kind}: ${url}`);
+            }
+        }
+
+        const error = new Error(`Could not load ${asset.label} (tried ${failures.join(', ')})`);
+        error.name = 'AssetLoadError';
+        throw error;
+    }
+
+    /**
+     * Local folder of an asset under CONFIG.ASSETS.BASE_PATH
+     */
+    getLocalBase(asset) {
+        return `${CONFIG.ASSETS.BASE_PATH.replace(/\/$/, '')}/${asset.dir}`;
+    }
+
+    /**
+     * Folder an asset was loaded from - MediaPipe fetches its model and wasm
+     * files from the same place as hands.js
+     * @param {string} name - Asset name ('hands', 'three')
+     */
+    getBaseUrl(name) {
+        if (this.baseUrls.has(name)) {
+            return this.baseUrls.get(name);
+        }
+        return this.getLocalBase(ASSETS.find(asset => asset.name === name));
+    }
+
+    /**
+     * Add a <script> tag and wait for it
+     */
+    loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            const timeout = setTimeout(() => {
+                script.remove();
+                reject(new Error('timed out'));
+            }, CONFIG.ASSETS.LOAD_TIMEOUT_MS);
+
+            script.src = url;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            script.onerror = () => {
+                clearTimeout(timeout);
+                script.remove();
+                reject(new Error('network error or file missing'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    reportProgress(text) {
+        if (this.onProgress) {
+            this.onProgress(text);
+        }
+    }
+}
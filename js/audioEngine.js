@@ -0,0 +1,548 @@
+/**
+ * AudioEngine.js
+ * Procedural WebAudio sound design - launch whistles, distance-delayed and
+ * low-passed burst booms, crackle, firecracker strings and an optional
+ * festive music bed, all synthesized (no sample files)
+ */
+
+import { CONFIG } from './config.js';
+
+const STORAGE_KEY = 'audioSettings';
+
+// Major pentatonic (C D E G A) over two octaves, in semitones from C4
+const PENTATONIC = [0, 2, 4, 7, 9, 12, 14, 16, 19, 21];
+const MELODY = [0, 2, 4, 2, 5, 4, 2, 0, 3, 4, 5, 7, 5, 4, 2, 4];   // Indices into PENTATONIC, one per eighth note
+const BASS = [0, 0, 3, 3, 4, 4, 3, 3];                                // One per quarter note
+const MUSIC_STEP = 0.25;        // Seconds per eighth note
+const MUSIC_LOOKAHEAD = 0.3;    // Seconds of music scheduled ahead
+
+export class AudioEngine {
+    /**
+     * @param {THREE.Camera} [camera] - Listener position for distance effects (can be set later)
+     */
+    constructor(camera = null) {
+        this.camera = camera;
+        this.settings = { ...this.getDefaults(), ...this.load() };
+
+        // Created on the first user gesture (browsers block audio before that)
+        this.context = null;
+        this.master = null;
+        this.musicBus = null;
+        this.noiseBuffer = null;
+        this.unlocked = false;
+
+        this.voices = 0;            // Sounds currently playing
+        this.lastPlayed = {};       // Kind → context time it last played
+
+        this.musicTimer = null;
+        this.musicStep = 0;
+        this.nextNoteTime = 0;
+
+        this.listenForUnlock();
+    }
+
+    /**
+     * Defaults from CONFIG.AUDIO
+     */
+    getDefaults() {
+        return {
+            volume: CONFIG.AUDIO.VOLUME,
+            muted: CONFIG.AUDIO.MUTED,
+            music: CONFIG.AUDIO.MUSIC
+        };
+    }
+
+    /**
+     * Read saved settings from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load audio settings:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Write settings to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('⚠️ Failed to save audio settings:', error);
+        }
+    }
+
+    /**
+     * Current settings { volume, muted, music }
+     */
+    get() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Unlock audio on the first tap, click or key press that the browser accepts
+     * (mobile Safari and Chrome only start an AudioContext inside a user gesture,
+     * and iOS ignores pointerdown, so listening stops only once audio is running)
+     */
+    listenForUnlock() {
+        const events = ['pointerdown', 'touchend', 'click', 'keydown'];
+        const unlock = () => {
+            this.unlock().then(running => {
+                // No WebAudio at all (no context) means there is nothing to wait for
+                if (running || !this.context) {
+                    events.forEach(type => window.removeEventListener(type, unlock, true));
+                }
+            });
+        };
+        events.forEach(type => window.addEventListener(type, unlock, true));
+    }
+
+    /**
+     * Create / resume the AudioContext (must run inside a user gesture)
+     * @returns {Promise<boolean>} True once the context is running
+     */
+    async unlock() {
+        if (this.unlocked) return true;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('⚠️ WebAudio not supported - fireworks will be silent');
+            return false;
+        }
+
+        if (!this.context) {
+            this.createGraph(new AudioContextClass());
+        }
+
+        // Resume and the silent buffer both have to start inside the gesture
+        const resumed = this.context.state === 'running' ? Promise.resolve() : this.context.resume();
+
+        // iOS only unlocks once something has played inside the gesture
+        const silence = this.context.createBufferSource();
+        silence.buffer = this.context.createBuffer(1, 1, 22050);
+        silence.connect(this.context.destination);
+        silence.start(0);
+
+        try {
+            await resumed;
+        } catch (error) {
+            console.warn('⚠️ Audio resume refused:', error);
+        }
+
+        // Another gesture may have finished unlocking while this one waited
+        if (this.unlocked) return true;
+
+        // Not accepted as a user gesture: the next tap, click or key press tries again
+        if (this.context.state !== 'running') return false;
+
+        this.unlocked = true;
+        if (this.settings.music) {
+            this.startMusic();
+        }
+        console.log('🔊 Audio unlocked');
+        return true;
+    }
+
+    /**
+     * Master gain → compressor → speakers, a music bus and a shared noise buffer
+     */
+    createGraph(context) {
+        this.context = context;
+
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -12;
+        compressor.ratio.value = 6;
+        compressor.connect(context.destination);
+
+        this.master = context.createGain();
+        this.master.connect(compressor);
+        this.applyVolume();
+
+        this.musicBus = context.createGain();
+        this.musicBus.gain.value = CONFIG.AUDIO.MUSIC_VOLUME;
+        this.musicBus.connect(this.master);
+
+        // Two seconds of white noise, reused by every noisy sound
+        const length = context.sampleRate * 2;
+        this.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+
+    /**
+     * Set master volume (0-1) and save it
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.max(0, Math.min(1, volume));
+        this.persist();
+        this.applyVolume();
+    }
+
+    /**
+     * Mute or unmute and save it
+     */
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.persist();
+        this.applyVolume();
+    }
+
+    /**
+     * Flip mute
+     * @returns {boolean} New muted state
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        console.log(this.settings.muted ? '🔇 Sound muted' : '🔊 Sound on');
+        return this.settings.muted;
+    }
+
+    /**
+     * Turn the music bed on or off and save it
+     * @returns {boolean} New music state
+     */
+    toggleMusic() {
+        this.settings.music = !this.settings.music;
+        this.persist();
+
+        if (this.settings.music) {
+            this.startMusic();
+        } else {
+            this.stopMusic();
+        }
+        return this.settings.music;
+    }
+
+    /**
+     * Ramp the master gain to the current volume / mute state
+     */
+    applyVolume() {
+        if (!this.master) return;
+
+        const level = this.settings.muted ? 0 : this.settings.volume;
+        this.master.gain.setTargetAtTime(level, this.context.currentTime, 0.02);
+    }
+
+    /**
+     * Play the sound for a FireworksSystem phase event
+     * @param {string} type - 'launch', 'burst', 'split', 'crackle' or 'arrive'
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {string} [shellType] - Burst type for 'burst'
+     */
+    handleFireworksEvent(type, x, y, z, shellType) {
+        switch (type) {
+            case 'launch':
+                this.playLaunch(x, y, z);
+                break;
+            case 'burst':
+                this.playBurst(x, y, z, shellType === 'willow' ? 0.7 : 1);
+                break;
+            case 'split':
+                this.playBurst(x, y, z, 0.3, 'split');
+                break;
+            case 'crackle':
+                this.playCrackle(x, y, z);
+                break;
+            case 'arrive':
+                this.playFirecrackers(x, y, z);
+                break;
+        }
+    }
+
+    /**
+     * Whether a sound of this kind may start now (voice cap and per-kind rate limit)
+     */
+    canPlay(kind) {
+        if (!this.context || this.context.state !== 'running' || this.settings.muted) return false;
+        if (this.voices >= CONFIG.AUDIO.MAX_VOICES) return false;
+
+        const now = this.context.currentTime;
+        const minInterval = CONFIG.AUDIO.MIN_INTERVAL[kind] || 0;
+        if (this.lastPlayed[kind] !== undefined && now - this.lastPlayed[kind] < minInterval) return false;
+
+        this.lastPlayed[kind] = now;
+        return true;
+    }
+
+    /**
+     * Distance effects for a world position: travel delay, level, muffling and pan
+     */
+    spatialize(x, y, z) {
+        let distance = CONFIG.AUDIO.REFERENCE_DISTANCE;
+        let offsetX = x;
+        if (this.camera) {
+            const listener = this.camera.position;
+            offsetX = x - listener.x;
+            distance = Math.hypot(offsetX, y - listener.y, z - listener.z);
+        }
+
+        const closeness = Math.min(1, CONFIG.AUDIO.REFERENCE_DISTANCE / Math.max(distance, 1));
+        return {
+            delay: distance / CONFIG.AUDIO.SPEED_OF_SOUND,
+            gain: closeness,
+            cutoff: Math.max(300, 9000 * closeness * closeness),   // Far bursts lose their highs
+            pan: Math.max(-1, Math.min(1, offsetX / Math.max(distance, 1) * 1.5))
+        };
+    }
+
+    /**
+     * Gain → panner → master chain for one sound; counts as a voice until `end`
+     */
+    createOutput(pan, end) {
+        const ctx = this.context;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+
+        let output = gain;
+        if (ctx.createStereoPanner) {
+            const panner = ctx.createStereoPanner();
+            panner.pan.value = pan;
+            gain.connect(panner);
+            output = panner;
+        }
+        output.connect(this.master);
+
+        // Release the voice (and the nodes) once the sound is over
+        this.voices++;
+        setTimeout(() => {
+            this.voices--;
+            output.disconnect();
+        }, (end - ctx.currentTime) * 1000 + 50);
+
+        return gain;
+    }
+
+    /**
+     * Noise source starting at a random point of the shared buffer
+     */
+    createNoise(start, duration) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        source.start(start, Math.random() * 1.5, duration);
+        return source;
+    }
+
+    /**
+     * Rising whistle with a hiss of burning fuse
+     */
+    playLaunch(x, y, z) {
+        if (!this.canPlay('launch')) return;
+
+        const ctx = this.context;
+        const { pan } = this.spatialize(x, y, z);
+        const rise = CONFIG.FIREWORKS.RISE_TIME;
+        const start = ctx.currentTime;
+        const end = start + rise;
+        const output = this.createOutput(pan, end + 0.1);
+
+        output.gain.setValueAtTime(0, start);
+        output.gain.linearRampToValueAtTime(0.12, start + 0.08);
+        output.gain.setValueAtTime(0.12, end - 0.3);
+        output.gain.linearRampToValueAtTime(0, end);
+
+        const whistle = ctx.createOscillator();
+        whistle.type = 'triangle';
+        const pitch = 700 + Math.random() * 300;
+        whistle.frequency.setValueAtTime(pitch, start);
+        whistle.frequency.exponentialRampToValueAtTime(pitch * 2.6, end);
+        const whistleGain = ctx.createGain();
+        whistleGain.gain.value = 0.5;
+        whistle.connect(whistleGain).connect(output);
+        whistle.start(start);
+        whistle.stop(end);
+
+        const hiss = this.createNoise(start, rise);
+        const band = ctx.createBiquadFilter();
+        band.type = 'bandpass';
+        band.frequency.value = 2500;
+        band.Q.value = 0.8;
+        hiss.connect(band).connect(output);
+    }
+
+    /**
+     * Boom: low thump plus filtered noise, delayed and muffled by distance
+     * @param {number} strength - 0-1 loudness / size
+     * @param {string} [kind] - Rate-limit bucket
+     */
+    playBurst(x, y, z, strength = 1, kind = 'burst') {
+        if (!this.canPlay(kind)) return;
+
+        const ctx = this.context;
+        const { delay, gain, cutoff, pan } = this.spatialize(x, y, z);
+        const start = ctx.currentTime + delay;
+        const length = 0.6 + strength * 1.2;
+        const output = this.createOutput(pan, start + length);
+        const peak = 0.9 * strength * gain;
+
+        output.gain.setValueAtTime(0, start);
+        output.gain.linearRampToValueAtTime(peak, start + 0.008);
+        output.gain.exponentialRampToValueAtTime(0.001, start + length);
+
+        const noise = this.createNoise(start, length);
+        const lowpass = ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.setValueAtTime(cutoff, start);
+        lowpass.frequency.exponentialRampToValueAtTime(Math.max(120, cutoff * 0.15), start + length);
+        noise.connect(lowpass).connect(output);
+
+        const thump = ctx.createOscillator();
+        thump.type = 'sine';
+        thump.frequency.setValueAtTime(110, start);
+        thump.frequency.exponentialRampToValueAtTime(35, start + 0.4);
+        const thumpGain = ctx.createGain();
+        thumpGain.gain.value = 1.5;
+        thump.connect(thumpGain).connect(output);
+        thump.start(start);
+        thump.stop(start + 0.5);
+    }
+
+    /**
+     * Scattered sharp crackles as stars burn out
+     */
+    playCrackle(x, y, z) {
+        if (!this.canPlay('crackle')) return;
+
+        const { delay, gain, pan } = this.spatialize(x, y, z);
+        const start = this.context.currentTime + delay;
+        const pops = 5 + Math.floor(Math.random() * 6);
+        this.playPops(start, pops, 0.4, 0.35 * gain, 4000, pan);
+    }
+
+    /**
+     * A string of firecrackers (text arriving)
+     */
+    playFirecrackers(x, y, z) {
+        if (!this.canPlay('firecracker')) return;
+
+        const { delay, gain, pan } = this.spatialize(x, y, z);
+        const start = this.context.currentTime + delay;
+        const pops = 14 + Math.floor(Math.random() * 8);
+        this.playPops(start, pops, pops * 0.07, 0.6 * gain, 2200, pan);
+    }
+
+    /**
+     * Short noise clicks spread randomly over a window
+     */
+    playPops(start, count, window, level, frequency, pan) {
+        const ctx = this.context;
+        const output = this.createOutput(pan, start + window + 0.1);
+        output.gain.value = level;
+
+        for (let i = 0; i < count; i++) {
+            const at = start + Math.random() * window;
+            const length = 0.015 + Math.random() * 0.025;
+
+            const pop = this.createNoise(at, length);
+            const band = ctx.createBiquadFilter();
+            band.type = 'bandpass';
+            band.frequency.value = frequency * (0.7 + Math.random() * 0.6);
+            band.Q.value = 1.2;
+            const envelope = ctx.createGain();
+            envelope.gain.setValueAtTime(0.6 + Math.random() * 0.4, at);
+            envelope.gain.exponentialRampToValueAtTime(0.001, at + length);
+            pop.connect(band).connect(envelope).connect(output);
+        }
+    }
+
+    /**
+     * Start the looping pentatonic music bed
+     */
+    startMusic() {
+        if (!this.context || this.musicTimer) return;
+
+        this.musicStep = 0;
+        this.nextNoteTime = this.context.currentTime + 0.1;
+        this.musicTimer = setInterval(() => this.scheduleMusic(), 100);
+        console.log('🎵 Music on');
+    }
+
+    /**
+     * Stop the music bed
+     */
+    stopMusic() {
+        if (!this.musicTimer) return;
+
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+        console.log('🎵 Music off');
+    }
+
+    /**
+     * Queue notes up to MUSIC_LOOKAHEAD ahead of the audio clock
+     */
+    scheduleMusic() {
+        const ctx = this.context;
+        while (this.nextNoteTime < ctx.currentTime + MUSIC_LOOKAHEAD) {
+            const step = this.musicStep % MELODY.length;
+            this.playNote(PENTATONIC[MELODY[step]] + 12, this.nextNoteTime, 0.5, 0.25);
+            if (step % 2 === 0) {
+                this.playNote(PENTATONIC[BASS[(step / 2) % BASS.length]] - 12, this.nextNoteTime, 0.9, 0.3);
+            }
+            if (step % 8 === 0) {
+                this.playDrum(this.nextNoteTime);
+            }
+
+            this.musicStep++;
+            this.nextNoteTime += MUSIC_STEP;
+        }
+    }
+
+    /**
+     * Plucked note (semitones from C4)
+     */
+    playNote(semitone, start, length, level) {
+        const ctx = this.context;
+        const note = ctx.createOscillator();
+        note.type = 'triangle';
+        note.frequency.value = 261.63 * Math.pow(2, semitone / 12);
+
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(level, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, start + length);
+
+        note.connect(envelope).connect(this.musicBus);
+        note.start(start);
+        note.stop(start + length);
+    }
+
+    /**
+     * Low festival drum hit
+     */
+    playDrum(start) {
+        const ctx = this.context;
+        const drum = ctx.createOscillator();
+        drum.frequency.setValueAtTime(140, start);
+        drum.frequency.exponentialRampToValueAtTime(50, start + 0.3);
+
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0.8, start);
+        envelope.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+
+        drum.connect(envelope).connect(this.musicBus);
+        drum.start(start);
+        drum.stop(start + 0.4);
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.stopMusic();
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+}
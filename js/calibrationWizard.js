@@ -0,0 +1,380 @@
+/**
+ * CalibrationWizard.js
+ * Guided flow that samples a user's fist, open palm and 1-3 finger poses,
+ * derives personal classification thresholds and saves them as a profile
+ */
+
+import { CONFIG } from './config.js';
+
+// Poses to sample, with the fingers that should read as extended in each
+const CALIBRATION_STEPS = [
+    { key: 'fist', label: 'Make a fist ✊', extended: [] },
+    { key: 'open', label: 'Open your palm wide 🖐️', extended: ['thumb', 'index', 'middle', 'ring', 'pinky'] },
+    { key: 'one', label: 'Show 1 finger (index) ☝️', extended: ['index'] },
+    { key: 'two', label: 'Show 2 fingers (index + middle) ✌️', extended: ['index', 'middle'] },
+    { key: 'three', label: 'Show 3 fingers (index + middle + ring) 🤟', extended: ['index', 'middle', 'ring'] }
+];
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export class CalibrationWizard {
+    constructor(gestureDetector, profiles) {
+        this.gestureDetector = gestureDetector;
+        this.profiles = profiles;
+
+        this.isActive = false;
+        this.phase = 'intro';       // intro, ready, capturing, review
+        this.stepIndex = 0;
+        this.phaseStart = 0;
+        this.samples = [];          // [{ step, measurements }]
+        this.captureHand = null;    // Only the first hand seen is sampled
+        this.result = null;         // { thresholds, accuracy }
+        this.ticker = null;
+
+        // Callback when the active profile changes
+        this.onProfileChange = null;
+
+        this.overlay = document.getElementById('calibration-overlay');
+        this.titleElement = document.getElementById('calibration-title');
+        this.instructionElement = document.getElementById('calibration-instruction');
+        this.progressBar = document.getElementById('calibration-progress-bar');
+        this.profileList = document.getElementById('calibration-profiles');
+        this.nameInput = document.getElementById('calibration-name');
+        this.primaryBtn = document.getElementById('calibration-primary');
+        this.secondaryBtn = document.getElementById('calibration-secondary');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up button listeners
+     */
+    setupEventListeners() {
+        document.getElementById('close-calibration-btn').addEventListener('click', () => this.close());
+
+        this.primaryBtn.addEventListener('click', () => {
+            if (this.phase === 'intro') {
+                this.startCapture();
+            } else if (this.phase === 'review') {
+                this.saveProfile();
+            }
+        });
+
+        this.secondaryBtn.addEventListener('click', () => {
+            if (this.phase === 'intro') {
+                this.useProfile(null);
+            } else {
+                // Retry from the first pose
+                this.startCapture();
+            }
+        });
+    }
+
+    /**
+     * Open the wizard on its intro / profile screen
+     */
+    open() {
+        this.isActive = true;
+        this.gestureDetector.eventsEnabled = false;
+        this.overlay.classList.remove('hidden');
+        this.overlay.classList.add('visible');
+        this.showIntro();
+
+        console.log('🎯 Calibration wizard opened');
+    }
+
+    /**
+     * Close the wizard and resume gesture events
+     */
+    close() {
+        this.isActive = false;
+        this.stopTicker();
+        this.gestureDetector.eventsEnabled = true;
+        this.overlay.classList.remove('visible');
+        this.overlay.classList.add('hidden');
+    }
+
+    /**
+     * Intro screen: saved profiles plus start / defaults buttons
+     */
+    showIntro() {
+        this.phase = 'intro';
+        this.stopTicker();
+
+        const activeName = this.profiles.getActiveName();
+        this.titleElement.textContent = 'Gesture Calibration';
+        this.instructionElement.textContent = `Active profile: ${activeName || 'Default'}. ` +
+            'Calibrate to tune finger detection to your hand, camera and distance.';
+        this.setProgress(0);
+        this.renderProfileList();
+
+        this.nameInput.style.display = 'none';
+        this.primaryBtn.style.display = '';
+        this.primaryBtn.textContent = 'Start Calibration';
+        this.secondaryBtn.textContent = 'Use Defaults';
+    }
+
+    /**
+     * List saved profiles with use / delete buttons
+     */
+    renderProfileList() {
+        this.profileList.innerHTML = '';
+        const activeName = this.profiles.getActiveName();
+
+        this.profiles.list().forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'calibration-profile' + (name === activeName ? ' active' : '');
+
+            const label = document.createElement('span');
+            label.textContent = name;
+            row.appendChild(label);
+
+            const useBtn = document.createElement('button');
+            useBtn.className = 'calibration-btn small';
+            useBtn.textContent = name === activeName ? 'Active' : 'Use';
+            useBtn.disabled = name === activeName;
+            useBtn.addEventListener('click', () => this.useProfile(name));
+            row.appendChild(useBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'calibration-btn small secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.profiles.remove(name);
+                this.applyActiveProfile();
+                this.showIntro();
+            });
+            row.appendChild(deleteBtn);
+
+            this.profileList.appendChild(row);
+        });
+    }
+
+    /**
+     * Switch to a saved profile (null for defaults)
+     */
+    useProfile(name) {
+        this.profiles.setActive(name);
+        this.applyActiveProfile();
+        this.showIntro();
+    }
+
+    /**
+     * Push the active profile's thresholds into the detector
+     */
+    applyActiveProfile() {
+        this.gestureDetector.applyThresholds(this.profiles.getActiveThresholds());
+        if (this.onProfileChange) {
+            this.onProfileChange(this.profiles.getActiveName());
+        }
+    }
+
+    /**
+     * Begin sampling from the first pose
+     */
+    startCapture() {
+        this.samples = [];
+        this.captureHand = null;
+        this.result = null;
+        this.profileList.innerHTML = '';
+        this.nameInput.style.display = 'none';
+        this.primaryBtn.style.display = 'none';
+        this.secondaryBtn.textContent = 'Restart';
+
+        this.beginStep(0);
+        this.startTicker();
+    }
+
+    /**
+     * Show the "get ready" countdown for a pose
+     */
+    beginStep(index) {
+        this.stepIndex = index;
+        this.phase = 'ready';
+        this.phaseStart = performance.now();
+
+        const step = CALIBRATION_STEPS[index];
+        this.titleElement.textContent = `Step ${index + 1} of ${CALIBRATION_STEPS.length}`;
+        this.instructionElement.textContent = `Get ready: ${step.label}`;
+    }
+
+    /**
+     * Advance countdowns and capture windows
+     */
+    tick() {
+        const elapsed = (performance.now() - this.phaseStart) / 1000;
+
+        if (this.phase === 'ready') {
+            this.setProgress(0);
+            if (elapsed >= CONFIG.CALIBRATION.READY_TIME) {
+                this.phase = 'capturing';
+                this.phaseStart = performance.now();
+                this.instructionElement.textContent = `Hold it: ${CALIBRATION_STEPS[this.stepIndex].label}`;
+            }
+        } else if (this.phase === 'capturing') {
+            this.setProgress(Math.min(elapsed / CONFIG.CALIBRATION.CAPTURE_TIME, 1));
+            if (elapsed >= CONFIG.CALIBRATION.CAPTURE_TIME) {
+                this.finishStep();
+            }
+        }
+    }
+
+    /**
+     * Check the current pose got enough samples, then move on
+     */
+    finishStep() {
+        const step = CALIBRATION_STEPS[this.stepIndex];
+        const count = this.samples.filter(sample => sample.step === step).length;
+
+        if (count < CONFIG.CALIBRATION.MIN_SAMPLES) {
+            // Drop partial data for this pose and try it again
+            this.samples = this.samples.filter(sample => sample.step !== step);
+            this.beginStep(this.stepIndex);
+            this.instructionElement.textContent = `Couldn't see your hand clearly - ${step.label}`;
+            return;
+        }
+
+        if (this.stepIndex < CALIBRATION_STEPS.length - 1) {
+            this.beginStep(this.stepIndex + 1);
+        } else {
+            this.showReview();
+        }
+    }
+
+    /**
+     * Receive landmarks while capturing (forwarded from GestureDetector.onHandFrame)
+     */
+    onHandFrame(hand, landmarks) {
+        if (!this.isActive || this.phase !== 'capturing') return;
+
+        // One hand at a time, otherwise samples would mix two hands or people
+        if (this.captureHand === null) {
+            this.captureHand = hand;
+        }
+        if (hand !== this.captureHand) return;
+
+        this.samples.push({
+            step: CALIBRATION_STEPS[this.stepIndex],
+            measurements: this.gestureDetector.measureFingers(landmarks)
+        });
+    }
+
+    /**
+     * Show derived thresholds and ask for a profile name
+     */
+    showReview() {
+        this.phase = 'review';
+        this.stopTicker();
+        this.setProgress(1);
+
+        this.result = this.deriveThresholds(this.samples);
+        const accuracy = Math.round(this.result.accuracy * 100);
+
+        this.titleElement.textContent = 'Calibration complete';
+        this.instructionElement.textContent = `${accuracy}% of your samples are classified correctly with these settings` +
+            (this.result.overlaps.length > 0
+                ? ` (hard to tell apart: ${this.result.overlaps.join(', ')} - try more distinct poses)`
+                : '') + '.';
+
+        this.nameInput.style.display = 'block';
+        this.nameInput.value = `Profile ${this.profiles.list().length + 1}`;
+        this.primaryBtn.style.display = '';
+        this.primaryBtn.textContent = 'Save Profile';
+        this.secondaryBtn.textContent = 'Retry';
+    }
+
+    /**
+     * Save the derived thresholds under the entered name and activate them
+     */
+    saveProfile() {
+        const name = this.nameInput.value.trim() || `Profile ${this.profiles.list().length + 1}`;
+        this.profiles.save(name, this.result.thresholds);
+        this.applyActiveProfile();
+        this.close();
+    }
+
+    /**
+     * Derive thresholds halfway between extended and curled samples
+     * @param {Array} samples - [{ step, measurements }]
+     * @returns {Object} { thresholds, accuracy, overlaps }
+     */
+    deriveThresholds(samples) {
+        const extendedBend = [], curledBend = [], extendedReach = [], curledReach = [];
+        const thumbExtendedBend = [], thumbCurledBend = [], thumbExtendedSpread = [], thumbCurledSpread = [];
+
+        samples.forEach(({ step, measurements }) => {
+            FINGERS.forEach(finger => {
+                const isExtended = step.extended.includes(finger);
+                const m = measurements[finger];
+
+                if (finger === 'thumb') {
+                    (isExtended ? thumbExtendedBend : thumbCurledBend).push(m.bend);
+                    (isExtended ? thumbExtendedSpread : thumbCurledSpread).push(m.spread);
+                } else {
+                    (isExtended ? extendedBend : curledBend).push(m.bend);
+                    (isExtended ? extendedReach : curledReach).push(m.reach);
+                }
+            });
+        });
+
+        const overlaps = [];
+        // Bends: extended is small, curled is large
+        const split = (low, high, label) => {
+            const lowEdge = this.percentile(low, 0.9);
+            const highEdge = this.percentile(high, 0.1);
+            if (lowEdge >= highEdge) overlaps.push(label);
+            return Math.round((lowEdge + highEdge) / 2 * 100) / 100;
+        };
+
+        const thresholds = {
+            FINGER_MAX_BEND_DEG: split(extendedBend, curledBend, 'finger bend'),
+            FINGER_REACH_RATIO: split(curledReach, extendedReach, 'finger reach'),
+            THUMB_MAX_BEND_DEG: split(thumbExtendedBend, thumbCurledBend, 'thumb bend'),
+            THUMB_SPREAD_RATIO: split(thumbCurledSpread, thumbExtendedSpread, 'thumb spread')
+        };
+
+        // How many samples would now give the expected finger count
+        const merged = { ...this.gestureDetector.thresholds, ...thresholds };
+        const correct = samples.filter(({ step, measurements }) => {
+            const states = this.gestureDetector.classifyFingers(measurements, merged);
+            return Object.values(states).filter(Boolean).length === step.extended.length;
+        }).length;
+
+        return {
+            thresholds,
+            accuracy: samples.length > 0 ? correct / samples.length : 0,
+            overlaps
+        };
+    }
+
+    /**
+     * Value at fraction p (0-1) of the sorted values
+     */
+    percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
+    /**
+     * Update progress bar (0-1)
+     */
+    setProgress(progress) {
+        this.progressBar.style.width = `${progress * 100}%`;
+    }
+
+    /**
+     * Start / stop the countdown ticker
+     */
+    startTicker() {
+        this.stopTicker();
+        this.ticker = setInterval(() => this.tick(), 100);
+    }
+
+    stopTicker() {
+        if (this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+}
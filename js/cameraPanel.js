@@ -0,0 +1,240 @@
+/**
+ * CameraPanel.js
+ * Command-palette panel for choosing the camera device, resolution, frame
+ * rate and mirroring; a newly selected device is previewed on its own
+ * stream until "Use this camera" switches to it
+ */
+
+import { CONFIG } from './config.js';
+
+export class CameraPanel {
+    constructor(gestureDetector, cameraSettings) {
+        this.gestureDetector = gestureDetector;
+        this.cameraSettings = cameraSettings;
+        this.isOpen = false;
+        this.activeValue = '';      // Device select value of the camera in use
+        this.previewStream = null;  // Short-lived stream of a device being looked at
+        this.previewRequest = 0;    // Bumped per preview so a slow getUserMedia can't win
+
+        // Callback when settings change: async (settings) → true if the camera is running
+        this.onChange = null;
+        // Callback when only mirroring changes (the camera keeps running): (mirror)
+        this.onMirrorChange = null;
+
+        this.overlay = document.getElementById('camera-overlay');
+        this.deviceSelect = document.getElementById('camera-device');
+        this.resolutionSelect = document.getElementById('camera-resolution');
+        this.frameRateSelect = document.getElementById('camera-framerate');
+        this.mirrorCheckbox = document.getElementById('camera-mirror');
+        this.preview = document.getElementById('camera-preview');
+        this.statusElement = document.getElementById('camera-status');
+        this.useButton = document.getElementById('camera-use-btn');
+
+        this.populateFixedOptions();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Fill resolution and frame-rate options from CONFIG.CAMERA
+     */
+    populateFixedOptions() {
+        CONFIG.CAMERA.RESOLUTIONS.forEach(([width, height]) => {
+            this.resolutionSelect.appendChild(new Option(`${width} × ${height}`, `${width}x${height}`));
+        });
+        CONFIG.CAMERA.FRAME_RATES.forEach(frameRate => {
+            this.frameRateSelect.appendChild(new Option(`${frameRate} fps`, String(frameRate)));
+        });
+    }
+
+    /**
+     * Set up control listeners (every change is applied live)
+     */
+    setupEventListeners() {
+        document.getElementById('close-camera-btn').addEventListener('click', () => this.close());
+
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) {
+                this.close();
+            }
+        });
+
+        // Devices are previewed first and only switched to on "Use this camera"
+        this.deviceSelect.addEventListener('change', () => this.selectDevice(this.deviceSelect.value));
+        this.useButton.addEventListener('click', () => {
+            this.stopPreview();
+            this.apply({ deviceId: this.deviceSelect.value || null });
+        });
+
+        this.resolutionSelect.addEventListener('change', () => {
+            const [width, height] = this.resolutionSelect.value.split('x').map(Number);
+            this.apply({ width, height });
+        });
+
+        this.frameRateSelect.addEventListener('change', () => {
+            this.apply({ frameRate: Number(this.frameRateSelect.value) });
+        });
+
+        this.mirrorCheckbox.addEventListener('change', () => this.applyMirror(this.mirrorCheckbox.checked));
+    }
+
+    /**
+     * Show the panel with the current settings and device list
+     */
+    async open() {
+        this.isOpen = true;
+        this.overlay.classList.remove('hidden');
+        this.overlay.classList.add('visible');
+
+        await this.refresh();
+        console.log('📷 Camera settings opened');
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.isOpen = false;
+        this.stopPreview();
+        this.preview.srcObject = null;
+        this.overlay.classList.remove('visible');
+        this.overlay.classList.add('hidden');
+    }
+
+    /**
+     * Re-read devices and settings into the controls
+     */
+    async refresh() {
+        const settings = this.cameraSettings.get();
+        const devices = await this.cameraSettings.listDevices();
+
+        // Highlight the device that is actually open when using the default
+        const camera = this.gestureDetector.camera;
+        const activeDeviceId = settings.deviceId || (camera && camera.deviceId) || '';
+
+        this.deviceSelect.innerHTML = '';
+        this.deviceSelect.appendChild(new Option('Default camera', ''));
+        devices.forEach(device => {
+            this.deviceSelect.appendChild(new Option(device.label, device.deviceId));
+        });
+        this.deviceSelect.value = devices.some(device => device.deviceId === activeDeviceId) ? activeDeviceId : '';
+        this.activeValue = this.deviceSelect.value;
+        this.useButton.disabled = true;
+
+        this.selectOrAdd(this.resolutionSelect, `${settings.width}x${settings.height}`, `${settings.width} × ${settings.height}`);
+        this.selectOrAdd(this.frameRateSelect, String(settings.frameRate), `${settings.frameRate} fps`);
+        this.mirrorCheckbox.checked = settings.mirror;
+
+        this.stopPreview();
+        this.updatePreview();
+    }
+
+    /**
+     * Show the chosen device: the running stream if it's the camera in use,
+     * otherwise a preview stream of its own
+     * @param {string} value - Device select value ('' = default camera)
+     */
+    async selectDevice(value) {
+        this.stopPreview();
+        this.useButton.disabled = value === this.activeValue;
+        if (value === this.activeValue) {
+            this.updatePreview();
+            return;
+        }
+
+        const request = this.previewRequest;
+        const settings = this.cameraSettings.get();
+        const video = { width: { ideal: settings.width }, height: { ideal: settings.height } };
+        if (value) {
+            video.deviceId = { exact: value };
+        } else {
+            video.facingMode = 'user';
+        }
+
+        this.statusElement.textContent = 'Opening preview...';
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+
+            // Closed, applied or another device picked while waiting
+            if (request !== this.previewRequest) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.previewStream = stream;
+            this.preview.srcObject = stream;
+            const track = stream.getVideoTracks()[0].getSettings();
+            this.statusElement.textContent = `Preview at ${track.width} × ${track.height} - press "Use this camera" to switch`;
+        } catch (error) {
+            if (request !== this.previewRequest) return;
+            this.preview.srcObject = null;
+            this.statusElement.textContent = `❌ Couldn't open this camera: ${error.message || error.name}`;
+        }
+    }
+
+    /**
+     * Stop the preview stream (and any preview still opening)
+     */
+    stopPreview() {
+        this.previewRequest++;
+        if (this.previewStream) {
+            this.previewStream.getTracks().forEach(track => track.stop());
+            this.previewStream = null;
+        }
+    }
+
+    /**
+     * Select an option, adding it first if it's a custom value from CONFIG / storage
+     */
+    selectOrAdd(select, value, label) {
+        if (![...select.options].some(option => option.value === value)) {
+            select.appendChild(new Option(label, value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * Save a change and switch the camera live
+     */
+    async apply(changes) {
+        const settings = this.cameraSettings.update(changes);
+        this.statusElement.textContent = 'Switching camera...';
+        this.useButton.disabled = true;
+
+        const running = this.onChange ? await this.onChange(settings) : false;
+        if (!this.isOpen) return;
+
+        if (running) {
+            // Device labels appear once permission has been granted
+            await this.refresh();
+        } else {
+            const error = this.gestureDetector.initError;
+            this.statusElement.textContent = `❌ Couldn't start this camera${error ? `: ${error.message}` : ''}`;
+        }
+    }
+
+    /**
+     * Save mirroring and flip the view in place (no need to reopen the camera)
+     */
+    applyMirror(mirror) {
+        this.cameraSettings.update({ mirror });
+        this.preview.style.transform = mirror ? 'scaleX(-1)' : 'none';
+        if (this.onMirrorChange) {
+            this.onMirrorChange(mirror);
+        }
+    }
+
+    /**
+     * Show the running camera's stream and its real resolution
+     */
+    updatePreview() {
+        const camera = this.gestureDetector.camera;
+        const stream = camera ? camera.stream : null;
+
+        this.preview.srcObject = stream;
+        this.preview.style.transform = this.cameraSettings.get().mirror ? 'scaleX(-1)' : 'none';
+
+        this.statusElement.textContent = stream
+            ? `Running at ${camera.width} × ${camera.height}`
+            : 'Camera is not running';
+    }
+}
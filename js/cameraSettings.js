@@ -0,0 +1,90 @@
+/**
+ * CameraSettings.js
+ * Chosen camera device, capture resolution, frame rate and mirroring,
+ * persisted in localStorage
+ */
+
+import { CONFIG } from './config.js';
+
+const STORAGE_KEY = 'cameraSettings';
+
+export class CameraSettings {
+    constructor() {
+        this.settings = { ...this.getDefaults(), ...this.load() };
+    }
+
+    /**
+     * Defaults from CONFIG.CAMERA
+     */
+    getDefaults() {
+        return {
+            deviceId: CONFIG.CAMERA.DEVICE_ID,
+            width: CONFIG.CAMERA.WIDTH,
+            height: CONFIG.CAMERA.HEIGHT,
+            frameRate: CONFIG.CAMERA.FRAME_RATE,
+            mirror: CONFIG.CAMERA.MIRROR
+        };
+    }
+
+    /**
+     * Read saved settings from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load camera settings:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Write settings to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('⚠️ Failed to save camera settings:', error);
+        }
+    }
+
+    /**
+     * Current settings { deviceId, width, height, frameRate, mirror }
+     */
+    get() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change some settings and save them
+     * @param {Object} changes - Any of { deviceId, width, height, frameRate, mirror }
+     * @returns {Object} Updated settings
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.persist();
+        return this.get();
+    }
+
+    /**
+     * Video input devices (labels are only filled in once camera permission is granted)
+     * @returns {Promise<Array>} [{ deviceId, label }]
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+}
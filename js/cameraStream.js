@@ -0,0 +1,136 @@
+/**
+ * CameraStream.js
+ * Opens a webcam with getUserMedia (specific device, resolution and frame
+ * rate) and calls onFrame for every new video frame
+ */
+
+export class CameraStream {
+    /**
+     * @param {HTMLVideoElement} videoElement - Element the stream plays in
+     * @param {Function} onFrame - Async callback run once per new video frame
+     */
+    constructor(videoElement, onFrame) {
+        this.videoElement = videoElement;
+        this.onFrame = onFrame;
+
+        this.stream = null;
+        this.width = 0;
+        this.height = 0;
+        this.deviceId = null;     // Device actually opened
+        this.generation = 0;      // Bumped on every start/stop so old frame loops exit
+        this.frameRequest = null;
+        this.frameErrorLogged = false; // onFrame failures are logged once per stream
+
+        // Callback when the requested device is gone and the default camera opened instead: (deviceId)
+        this.onDeviceMissing = null;
+    }
+
+    /**
+     * Open a camera (stops any stream that is already running)
+     * A saved device that is unplugged (or whose id changed) falls back to the default camera
+     * @param {Object} settings - { deviceId, width, height, frameRate }
+     * @throws {DOMException} getUserMedia errors (NotAllowedError, NotFoundError...)
+     */
+    async start(settings) {
+        this.stop();
+        const generation = this.generation;
+
+        let stream;
+        try {
+            stream = await this.open(settings, settings.deviceId);
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!settings.deviceId || !missing) throw error;
+
+            console.warn(`📷 Camera ${settings.deviceId} not found, using the default camera`);
+            stream = await this.open(settings, null);
+            if (this.onDeviceMissing) {
+                this.onDeviceMissing(settings.deviceId);
+            }
+        }
+
+        // Stopped or restarted while waiting for permission
+        if (generation !== this.generation) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        this.stream = stream;
+        this.videoElement.muted = true;
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+
+        this.width = this.videoElement.videoWidth;
+        this.height = this.videoElement.videoHeight;
+        this.deviceId = stream.getVideoTracks()[0].getSettings().deviceId || null;
+
+        this.runFrameLoop(generation);
+    }
+
+    /**
+     * getUserMedia for one device (null = the user-facing default)
+     */
+    open(settings, deviceId) {
+        const video = {
+            width: { ideal: settings.width },
+            height: { ideal: settings.height },
+            frameRate: { ideal: settings.frameRate }
+        };
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else {
+            video.facingMode = 'user';
+        }
+
+        return navigator.mediaDevices.getUserMedia({ video, audio: false });
+    }
+
+    /**
+     * Call onFrame whenever the video shows a new frame
+     */
+    runFrameLoop(generation) {
+        let lastTime = -1;
+        this.frameErrorLogged = false;
+
+        const tick = async () => {
+            if (generation !== this.generation) return;
+
+            if (this.videoElement.currentTime !== lastTime) {
+                lastTime = this.videoElement.currentTime;
+
+                // One bad frame (model error, stream hiccup) mustn't end the loop
+                try {
+                    await this.onFrame();
+                } catch (error) {
+                    if (!this.frameErrorLogged) {
+                        this.frameErrorLogged = true;
+                        console.error('❌ Processing a camera frame failed (further errors are not logged):', error);
+                    }
+                }
+            }
+
+            if (generation === this.generation) {
+                this.frameRequest = requestAnimationFrame(tick);
+            }
+        };
+
+        tick();
+    }
+
+    /**
+     * Stop the camera and the frame loop
+     */
+    stop() {
+        this.generation++;
+
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.videoElement.srcObject = null;
+    }
+}
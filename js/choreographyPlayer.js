@@ -0,0 +1,356 @@
+/**
+ * ChoreographyPlayer.js
+ * Plays scripted firework shows from a JSON timeline of timed cues, on the
+ * same frame clock as FireworksSystem and ScrollManager
+ *
+ * Show file:
+ * {
+ *     "version": 1,
+ *     "name": "Midnight finale",
+ *     "duration": 40,            // Seconds before the show ends / loops (default: last cue)
+ *     "loop": false,
+ *     "cues": [
+ *         { "time": 0,  "type": "phrase", "text": "新年快乐" },          // or "phrase": 1 (CONFIG.TEXT.PHRASES index)
+ *         { "time": 2.5, "type": "morph", "text": "恭喜发财" },          // Formed text flows into a new phrase
+ *         { "time": 3,  "type": "shells", "shell": "willow", "count": 5,
+ *           "position": { "x": 0, "y": 500, "z": 0 }, "spread": 400, "interval": 0.2, "color": "#FF3333",
+ *           "site": 1 },                                                // LAUNCH_SITES index (default: nearest)
+ *         { "time": 8,  "type": "pause", "duration": 2 },            // Hold the timeline (omit duration to wait for startShow)
+ *         { "time": 10, "type": "scrolls" },                          // Bring in the fortune scrolls
+ *         { "time": 20, "type": "hideScrolls" },
+ *         { "time": 21, "type": "status", "text": "Happy New Year!" }
+ *     ]
+ * }
+ */
+
+import { CONFIG } from './config.js';
+import { SHELL_TYPES } from './shellTypes.js';
+
+export const CHOREOGRAPHY_VERSION = 1;
+
+const CUE_TYPES = ['phrase', 'morph', 'shells', 'pause', 'scrolls', 'hideScrolls', 'status'];
+const TEXT_CUES = ['phrase', 'morph'];
+
+export class ChoreographyPlayer {
+    constructor(fireworksSystem, scrollManager, textConverter) {
+        this.fireworksSystem = fireworksSystem;
+        this.scrollManager = scrollManager;
+        this.textConverter = textConverter;
+
+        this.show = null;
+        this.cues = [];
+        this.duration = 0;
+        this.loop = false;
+        this.phrasePoints = new Map();   // Text → point cloud, sampled at load (and on resample)
+        this.resamplePending = false;    // Density changed: resample before the next text cue
+
+        this.isPlaying = false;
+        this.currentTime = 0;
+        this.cueIndex = 0;               // Next cue to run
+        this.holdRemaining = 0;          // Seconds left on a timed pause
+        this.waitingForTrigger = false;  // Paused until startShow
+
+        // Callbacks
+        this.onCue = null;               // (cue)
+        this.onStatus = null;            // (text)
+        this.onEnd = null;               // ()
+    }
+
+    /**
+     * Load a show from a URL, File or already-parsed object
+     * @param {string|File|Object} source
+     * @returns {Promise<Object>} The show
+     */
+    async load(source) {
+        let show = source;
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load show ${source} (${response.status})`);
+            }
+            show = await response.json();
+        } else if (typeof File !== 'undefined' && source instanceof File) {
+            show = JSON.parse(await source.text());
+        }
+
+        this.validate(show);
+        if (show.version !== CHOREOGRAPHY_VERSION) {
+            console.warn(`⚠️ Show version ${show.version} differs from ${CHOREOGRAPHY_VERSION}`);
+        }
+
+        this.stop();
+        this.show = show;
+
+        // Stable sort keeps same-time cues in file order
+        this.cues = show.cues
+            .map((cue, index) => ({ ...cue, index }))
+            .sort((a, b) => a.time - b.time || a.index - b.index);
+        const lastCueTime = this.cues.length > 0 ? this.cues[this.cues.length - 1].time : 0;
+        this.duration = typeof show.duration === 'number' ? show.duration : lastCueTime;
+        this.loop = Boolean(show.loop);
+
+        // Sample phrase text now so cues don't stall the frame they fire on
+        this.resample();
+
+        console.log(`🎬 Loaded show "${show.name || 'untitled'}" with ${this.cues.length} cues (${this.duration}s)`);
+        return show;
+    }
+
+    /**
+     * Sample every phrase the show uses
+     * @param {Random} [random] - Source to sample with (defaults to the text converter's)
+     */
+    resample(random = this.textConverter.random) {
+        this.resamplePending = false;
+        this.phrasePoints.clear();
+        this.cues.filter(cue => TEXT_CUES.includes(cue.type)).forEach(cue => {
+            const text = this.getCueText(cue);
+            if (!this.phrasePoints.has(text)) {
+                this.phrasePoints.set(text, this.textConverter.convertToPoints(text, random));
+            }
+        });
+    }
+
+    /**
+     * Mark the phrase point clouds out of date (the quality governor changed
+     * CONFIG.TEXT.SAMPLE_DENSITY); they're resampled at the next text cue
+     */
+    invalidatePoints() {
+        this.resamplePending = true;
+    }
+
+    /**
+     * Point cloud for a phrase / morph cue, resampling first if the density changed
+     */
+    getCuePoints(cue) {
+        if (this.resamplePending) {
+            this.resample(this.textConverter.densityRandom());
+        }
+        return this.phrasePoints.get(this.getCueText(cue));
+    }
+
+    /**
+     * Throw if a show object is malformed
+     */
+    validate(show) {
+        if (!show || !Array.isArray(show.cues)) {
+            throw new Error('Invalid show: missing cues');
+        }
+
+        show.cues.forEach((cue, index) => {
+            if (typeof cue.time !== 'number' || cue.time < 0) {
+                throw new Error(`Invalid show: cue ${index} needs a time in seconds`);
+            }
+            if (!CUE_TYPES.includes(cue.type)) {
+                throw new Error(`Invalid show: cue ${index} has unknown type "${cue.type}"`);
+            }
+            if (cue.type === 'shells' && !SHELL_TYPES[cue.shell]) {
+                throw new Error(`Invalid show: cue ${index} has unknown shell "${cue.shell}"`);
+            }
+            if (TEXT_CUES.includes(cue.type) && typeof cue.text !== 'string' && !CONFIG.TEXT.PHRASES[cue.phrase]) {
+                throw new Error(`Invalid show: cue ${index} needs text or a phrase index`);
+            }
+        });
+    }
+
+    /**
+     * Play from the beginning
+     */
+    start() {
+        if (!this.show) {
+            console.warn('⚠️ No show loaded');
+            return;
+        }
+
+        this.seek(0);
+        this.isPlaying = true;
+        console.log(`▶️ Playing show "${this.show.name || 'untitled'}"`);
+    }
+
+    /**
+     * Stop playback (fireworks already in the sky finish on their own)
+     */
+    stop() {
+        this.isPlaying = false;
+        this.holdRemaining = 0;
+        this.waitingForTrigger = false;
+    }
+
+    /**
+     * Continue after a pause cue without a duration
+     * @returns {boolean} True if the show was waiting
+     */
+    resume() {
+        if (!this.isPlaying || !this.waitingForTrigger) return false;
+
+        this.waitingForTrigger = false;
+        console.log('▶️ Show resumed');
+        return true;
+    }
+
+    /**
+     * Jump to a time; cues before it are skipped and the sky is cleared
+     * @param {number} time - Seconds from the start of the show
+     */
+    seek(time) {
+        this.currentTime = Math.max(0, Math.min(time, this.duration));
+        this.holdRemaining = 0;
+        this.waitingForTrigger = false;
+
+        this.cueIndex = this.cues.findIndex(cue => cue.time >= this.currentTime);
+        if (this.cueIndex === -1) this.cueIndex = this.cues.length;
+
+        this.fireworksSystem.reset();
+        this.scrollManager.hideAll();
+    }
+
+    /**
+     * Turn looping on or off
+     */
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    /**
+     * Advance the show clock and run due cues (called every frame)
+     * @param {number} deltaTime - Time since last frame (seconds)
+     */
+    update(deltaTime) {
+        if (!this.isPlaying || this.waitingForTrigger) return;
+
+        // Timed pause: the clock stands still until it runs out
+        if (this.holdRemaining > 0) {
+            this.holdRemaining -= deltaTime;
+            if (this.holdRemaining > 0) return;
+            deltaTime = -this.holdRemaining;
+            this.holdRemaining = 0;
+        }
+
+        this.currentTime += deltaTime;
+
+        while (this.cueIndex < this.cues.length && this.cues[this.cueIndex].time <= this.currentTime) {
+            const cue = this.cues[this.cueIndex++];
+            this.runCue(cue);
+
+            // A pause stops the clock at its cue
+            if (this.holdRemaining > 0 || this.waitingForTrigger) {
+                this.currentTime = cue.time;
+                return;
+            }
+        }
+
+        if (this.currentTime >= this.duration) {
+            if (this.loop && this.duration > 0) {
+                this.currentTime -= this.duration;
+                this.cueIndex = 0;
+                console.log('🔁 Show looped');
+            } else {
+                this.stop();
+                console.log('⏹️ Show finished');
+                if (this.onEnd) {
+                    this.onEnd();
+                }
+            }
+        }
+    }
+
+    /**
+     * Perform one cue
+     */
+    runCue(cue) {
+        switch (cue.type) {
+            case 'phrase': {
+                const points = this.getCuePoints(cue);
+                this.scrollManager.hideAll();
+                this.fireworksSystem.launch(this.textConverter.jitterPoints(points, 3));
+                break;
+            }
+            case 'morph': {
+                // Launch instead if there's no text in the sky to morph
+                const points = this.textConverter.jitterPoints(this.getCuePoints(cue), 3);
+                if (!this.fireworksSystem.morphTo(points)) {
+                    this.scrollManager.hideAll();
+                    this.fireworksSystem.launch(points);
+                }
+                break;
+            }
+            case 'shells':
+                this.fireShells(cue);
+                break;
+            case 'pause':
+                if (typeof cue.duration === 'number') {
+                    this.holdRemaining = cue.duration;
+                } else {
+                    this.waitingForTrigger = true;
+                    console.log('⏸️ Show waiting for start trigger');
+                }
+                break;
+            case 'scrolls':
+                if (this.scrollManager.scrolls.length === 0) {
+                    this.scrollManager.initialize();
+                }
+                break;
+            case 'hideScrolls':
+                this.scrollManager.hideAll();
+                break;
+            case 'status':
+                if (this.onStatus) {
+                    this.onStatus(cue.text);
+                }
+                break;
+        }
+
+        if (this.onCue) {
+            this.onCue(cue);
+        }
+    }
+
+    /**
+     * Launch a volley of shells, spread along x and staggered in time
+     */
+    fireShells(cue) {
+        const count = cue.count || 1;
+        const spread = cue.spread || 0;
+        const interval = cue.interval || 0;
+        const center = this.parsePosition(cue.position);
+
+        for (let i = 0; i < count; i++) {
+            const offset = count > 1 ? (i / (count - 1) - 0.5) * spread : 0;
+            const options = { delay: i * interval };
+            if (cue.color !== undefined) {
+                options.color = this.parseColor(cue.color);
+            }
+            if (typeof cue.site === 'number') {
+                options.site = cue.site;
+            }
+
+            this.fireworksSystem.launchShell(cue.shell, { x: center.x + offset, y: center.y, z: center.z }, options);
+        }
+    }
+
+    /**
+     * Text a phrase cue spells
+     */
+    getCueText(cue) {
+        return typeof cue.text === 'string' ? cue.text : CONFIG.TEXT.PHRASES[cue.phrase];
+    }
+
+    /**
+     * Accept {x, y, z} or [x, y, z]; defaults to the text's centre
+     */
+    parsePosition(position) {
+        if (Array.isArray(position)) {
+            return { x: position[0] || 0, y: position[1] || 0, z: position[2] || 0 };
+        }
+        const defaults = { x: 0, y: CONFIG.TEXT.POSITION_Y, z: CONFIG.TEXT.POSITION_Z };
+        return { ...defaults, ...position };
+    }
+
+    /**
+     * Accept '#FF3333' or 0xFF3333
+     */
+    parseColor(color) {
+        return typeof color === 'string' ? parseInt(color.replace('#', ''), 16) : color;
+    }
+}
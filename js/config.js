@@ -6,25 +6,164 @@
 export const CONFIG = {
     // MediaPipe Hands Configuration
     MEDIAPIPE: {
-        MAX_NUM_HANDS: 1,
+        MAX_NUM_HANDS: 2,             // Track both hands, each with its own gesture state
         MODEL_COMPLEXITY: 1,
         MIN_DETECTION_CONFIDENCE: 0.7,
         MIN_TRACKING_CONFIDENCE: 0.5
     },
 
+    // Runtime libraries (MediaPipe, Three.js)
+    ASSETS: {
+        BASE_PATH: 'vendor',          // Local copies, filled by `npm run vendor` (relative to the page)
+        CDN_FALLBACK: true,           // Try the CDN if a local copy fails to load
+        LOAD_TIMEOUT_MS: 15000,       // Give up on a script after this long
+        CDN: {
+            hands: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240',
+            three: 'https://cdn.jsdelivr.net/npm/three@0.159.0/build'
+        }
+    },
+
+    // Webcam capture (defaults - the Camera Settings panel saves overrides)
+    CAMERA: {
+        DEVICE_ID: null,              // null = browser default camera
+        WIDTH: 640,                   // Requested capture size (the camera may pick the closest it supports)
+        HEIGHT: 480,
+        FRAME_RATE: 30,
+        MIRROR: true,                 // Camera faces the user: mirror the preview, pointer and swipes
+        RESOLUTIONS: [[640, 480], [1280, 720], [1920, 1080]],
+        FRAME_RATES: [15, 30, 60]
+    },
+
     // Gesture Detection
     GESTURE: {
         FIST_THRESHOLD: 4,           // Fingers extended to be considered "open palm" (changed to 4 to avoid conflict with scroll selection)
         COOLDOWN_MS: 1000,           // Minimum time between triggers (ms)
-        FINGER_CURL_THRESHOLD: 0.6   // How curled a finger needs to be (0-1)
+        HAND_EXPIRE_MS: 3000,        // Forget a hand (and its cooldowns) this long after it leaves the frame
+        
+        // Temporal filtering
+        SMOOTHING_ENABLED: true,     // One Euro filter on landmarks before classification
+        ONE_EURO_MIN_CUTOFF: 1.5,    // Hz at rest - lower = smoother, laggier
+        ONE_EURO_BETA: 10,           // Speed coefficient - higher = less lag on fast moves
+        ONE_EURO_D_CUTOFF: 1.0,      // Hz for the speed estimate
+        STATE_CONFIRM_FRAMES: 3,     // Consistent frames needed before FIST ↔ OPEN switches
+        STATE_MIN_HOLD_MS: 100,      // ...and for at least this long
+        FINGER_COUNT_CONFIRM_FRAMES: 4, // Consistent frames needed before a finger count counts
+        
+        FINGER_CURL_THRESHOLD: 0.6,  // How curled a finger needs to be (0-1)
+        FINGER_MAX_BEND_DEG: 60,     // Max combined PIP + DIP bend for a finger to count as extended
+        FINGER_REACH_RATIO: 1.3,     // Min wrist→tip distance, in palm sizes (wrist → middle MCP)
+        THUMB_MAX_BEND_DEG: 50,      // Max combined MCP + IP bend for the thumb to count as extended
+        THUMB_SPREAD_RATIO: 1.3,     // Min thumb tip → pinky MCP distance, in palm widths
+        PINCH_RATIO: 0.3,            // Max thumb tip → index tip distance, in palm sizes, to count as a pinch
+        LAUNCH_HAND: null,           // 'Left' / 'Right' to reserve launching for one hand (null = any)
+        SELECT_HAND: null            // 'Left' / 'Right' to reserve scroll selection for one hand (null = any)
+    },
+
+    // Air pointer (index fingertip as a cursor over scrolls)
+    POINTER: {
+        ENABLED: false,              // Start in pointer mode (toggle from the command palette)
+        SELECT_MODE: 'both',         // 'dwell', 'pinch' or 'both'
+        DWELL_TIME: 1.2,             // Seconds to hover a scroll before it is confirmed
+        SMOOTHING: 0.6,              // 0 = raw fingertip, closer to 1 = smoother but laggier
+        EDGE_MARGIN: 0.1,            // Camera-frame margin mapped off-screen (edges are hard to reach)
+        LOST_TIMEOUT_MS: 300         // Hide the cursor when the hand is gone this long
+    },
+
+    // Motion gestures (swipes and waves)
+    MOTION: {
+        SWIPE_WINDOW_MS: 350,        // Time window a swipe must happen within
+        SWIPE_MIN_DISTANCE: 0.25,    // Min palm travel, in camera-frame heights
+        SWIPE_MIN_SPEED: 1.0,        // Min palm speed, in frame heights per second
+        SWIPE_MAX_OFF_AXIS: 0.5,     // Max sideways drift relative to the main direction
+        SWIPE_SETTLE_MS: 150,        // Wait before firing, so the first stroke of a wave isn't a swipe
+        WAVE_WINDOW_MS: 1500,        // Time window for a wave
+        WAVE_MIN_AMPLITUDE: 0.06,    // Min side-to-side travel per stroke
+        WAVE_MIN_REVERSALS: 3,       // Direction changes needed for a wave
+        COOLDOWN_MS: 800             // Min time between motion gestures (per hand)
+    },
+
+    // Gesture calibration wizard
+    CALIBRATION: {
+        READY_TIME: 2.0,             // Seconds to get into each pose
+        CAPTURE_TIME: 2.0,           // Seconds of sampling per pose
+        MIN_SAMPLES: 15              // Frames needed per pose, otherwise it is repeated
+    },
+
+    // Custom gestures (see gestureRegistry.js for the definition format)
+    CUSTOM_GESTURES: [
+        {
+            name: 'thumbsUp',
+            pose: { fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false } },
+            holdMs: 400,
+            cooldownMs: 1500,
+            exclusive: true          // Bound to startShow, so it mustn't also select scroll 1
+        },
+        {
+            name: 'peace',
+            pose: { fingers: { thumb: false, index: true, middle: true, ring: false, pinky: false } },
+            holdMs: 400,
+            cooldownMs: 1500
+        },
+        {
+            name: 'rockOn',
+            pose: { fingers: { index: true, middle: false, ring: false, pinky: true } },
+            holdMs: 400,
+            cooldownMs: 1500
+        },
+        {
+            name: 'pinch',
+            pose: { pinch: true },
+            from: { pinch: false },
+            withinMs: 500,
+            cooldownMs: 800
+        }
+    ],
+
+    // Input bindings: every source maps to a named action (see InputRouter)
+    // A binding is an action name or { action, value, when }
+    INPUT: {
+        KEYBOARD: {                   // 'Mod' = ⌘ on Mac, Ctrl elsewhere; modifiers must match exactly
+            '1': { action: 'select', value: 0 },
+            '2': { action: 'select', value: 1 },
+            '3': { action: 'select', value: 2 },
+            'Space': 'confirm',
+            'Enter': 'launch',
+            'R': 'reset',
+            'Mod+K': 'openMenu',
+            '`': 'toggleHud',
+            'P': 'startShow',
+            '[': { action: 'seekShow', value: -5, when: 'show' }, // Seconds
+            ']': { action: 'seekShow', value: 5, when: 'show' },
+            'Home': { action: 'restartShow', when: 'show' },
+            'L': { action: 'toggleShowLoop', when: 'show' },
+            'M': 'toggleMute',
+            'Escape': { action: 'closeMenu', when: 'menu' },
+            'Mod+B': { action: 'uploadBackground', when: 'menu' },
+            'Mod+R': { action: 'resetBackground', when: 'menu' },
+            'Mod+G': { action: 'viewSource', when: 'menu' }
+        },
+        GESTURE: {                    // Built-in triggers plus any registry / motion gesture name
+            fistToOpen: 'launch',
+            fingerCount: 'autoSelect', // value = scroll index from 1-3 fingers
+            swipeUp: 'launch',
+            swipeLeft: 'previousPhrase',
+            swipeRight: 'nextPhrase',
+            wave: 'dismiss',
+            pinch: 'pointerConfirm',
+            thumbsUp: 'startShow'
+        },
+        POINTER: {                    // Mouse click / touch tap on a scroll (value = scroll index)
+            tap: 'choose'
+        }
     },
 
     // Fireworks Text Settings
     TEXT: {
         CONTENT: '新年快乐',          // Chinese characters for "Happy New Year"
+        PHRASES: ['新年快乐', '恭喜发财', '万事如意'], // Swipe left/right cycles through these
         FONT_SIZE: 180,               // Size for sampling
         FONT_FAMILY: 'SimHei, "Microsoft YaHei", "PingFang SC", "Noto Sans CJK SC", sans-serif',
-        SAMPLE_DENSITY: 0.3,          // Lower = more particles (0-1)
+        SAMPLE_DENSITY: 0.3,          // Fraction of text pixels sampled (lower = fewer particles, 0-1)
         SPACING_X: 250,               // Horizontal spacing between characters
         POSITION_Y: 450,              // Height in 3D space (centered for desktop)
         POSITION_Z: 0,                // Base z-depth (particles vary around this)
@@ -48,7 +187,70 @@ export const CONFIG = {
         GRAVITY: 0.98,                // Gravity multiplier
         DRAG: 0.99,                   // Air resistance
         PARTICLE_SIZE: 4,             // Base particle size
-        GLOW_SIZE: 8                  // Glow particle size
+        GLOW_SIZE: 8,                 // Glow particle size
+        LAUNCH_Y: -400,               // Height shells and text particles launch from
+        LAUNCH_GRAVITY: 4.9,          // Downward pull on text particles rising straight to the text
+
+        // Mortar sites (barges along the bay in the backdrop). Shells and text particles launch
+        // from the site nearest their target, LAUNCH_SPREAD around it, `delay` seconds late;
+        // y defaults to LAUNCH_Y. An empty list launches straight up from below each target
+        LAUNCH_SITES: [
+            { x: -550, z: -150, delay: 0.2 },
+            { x: 0, z: -100, delay: 0 },
+            { x: 550, z: -150, delay: 0.1 }
+        ],
+
+        // Wind (world units per second) carrying rising and falling particles; text holds still once formed
+        WIND: {
+            X: 12,
+            Z: 0,
+            GUST: 25,                 // Strongest gust added on top
+            GUST_INTERVAL: 3,         // Average seconds between gust changes
+            GUST_RAMP: 1.5            // Seconds a gust takes to build or die down
+        },
+
+        // Hand-steered launches: where the palm opened picks the launch site and pulls
+        // the text towards it; a palm nearer the camera (bigger on screen) bursts bigger
+        HAND_STEERING: {
+            ENABLED: true,
+            SPAN_X: 1000,             // World x at the left / right edge of the camera view
+            SPAN_Y: 500,              // World height the palm's top-to-bottom range covers, centred on the text
+            TEXT_NUDGE: 0.3,          // Fraction of the way the text moves towards the palm
+            MAX_NUDGE: 200,           // Furthest the text is moved (world units)
+            PALM_SIZE: 0.18,          // Palm size (wrist to middle knuckle / frame height) for a normal burst
+            MIN_BURST: 0.7,           // Burst size of a distant hand
+            MAX_BURST: 1.5            // Burst size of a hand close to the camera
+        },
+
+        // Aerial shells (burst types are defined in shellTypes.js)
+        TEXT_SHELL: 'peony',          // Shell the text bursts out of (null = rise straight to the text)
+        TEXT_SHELL_STAGGER: 0.25,     // Seconds between each character's shell
+        CONVERGE_TIME: 1.2,           // Seconds for burst stars to settle into the text
+        MORPH_TIME: 1.5,              // Seconds for formed text to flow into the next phrase (morphTo)
+        MORPH_ARC: 40,                // Height of the arc morphing particles follow
+        SHELL_TRAIL: { interval: 0.03, life: 0.35, size: 0.6, color: 0xFFB347 }, // Sparks behind a rising shell
+        DECORATIVE_SHELLS: 6,         // Extra shells bursting around the text (0 = off)
+        DECORATIVE_TYPES: ['peony', 'chrysanthemum', 'willow', 'ring', 'crossette', 'crackle'],
+        DECORATIVE_DELAY: 0.6,        // Seconds before the first decorative shell launches
+        DECORATIVE_INTERVAL: 0.35,    // Seconds between decorative shells
+        DECORATIVE_MARGIN: 150,       // Distance of decorative bursts outside the text bounds
+
+        // Overlapping launches (shows share PARTICLE_POOL_SIZE)
+        POOL_POLICY: 'thin',          // When the pool can't fit a new show: 'thin' (use what's free),
+                                      // 'replace' (stop the oldest shows) or 'reject' (ignore the launch)
+        SHOW_RESERVE: 1500,           // Particles kept free for each show's shells, bursts and trails
+        MIN_SHOW_PARTICLES: 300,      // Reject a launch that would get fewer text particles than this
+
+        // Motion trails
+        TRAILS: {
+            MODE: 'lines',            // 'lines' (fading trail behind each particle), 'afterimage'
+                                      // (cheap fading feedback buffer for low-end devices) or 'off'
+            LENGTH: 10,               // Samples remembered per particle (lines)
+            SAMPLE_INTERVAL: 0.02,    // Seconds between samples (lines)
+            MAX_TRAILS: 3000,         // Trails drawn per frame; beyond this every Nth particle gets one (lines)
+            OPACITY: 0.6,             // Brightness at a trail's head (lines)
+            PERSISTENCE: 0.85         // Brightness kept per 1/60 s (afterimage)
+        }
     },
 
     // Colors (Chinese New Year theme)
@@ -114,15 +316,61 @@ export const CONFIG = {
 
     // Performance Settings
     PERFORMANCE: {
-        MAX_PARTICLES: 10000,         // Total particle budget
+        MAX_PARTICLES: 10000,         // Text particles per launch
         PARTICLE_POOL_SIZE: 12000,    // Pre-allocated buffer size
-        TARGET_FPS: 60
+        TARGET_FPS: 60,
+
+        // Adaptive quality: steps through LEVELS (lowest first) to hold TARGET_FPS
+        QUALITY: {
+            ENABLED: true,
+            START_LEVEL: 'auto',      // Index into LEVELS, or 'auto' (from device memory, cores and pointer)
+            SAMPLE_SECONDS: 2,        // Frame-time window per decision
+            DOWNGRADE_RATIO: 0.8,     // Step down when a window averages below TARGET_FPS × this
+            UPGRADE_RATIO: 0.95,      // Count a window as good at or above TARGET_FPS × this
+            UPGRADE_DELAY: 10,        // Seconds of good windows before stepping up (doubles after each undone upgrade)
+            LEVELS: [
+                { name: 'low', pixelRatio: 0.75, antialias: false, sampleDensity: 0.12, maxParticles: 3000, stars: 0.4, trails: 0 },
+                { name: 'medium', pixelRatio: 1, antialias: false, sampleDensity: 0.2, maxParticles: 6000, stars: 0.7, trails: 800 },
+                { name: 'high', pixelRatio: 1.5, antialias: true, sampleDensity: 0.3, maxParticles: 10000, stars: 1, trails: 2000 },
+                { name: 'full', pixelRatio: 2, antialias: true, sampleDensity: 0.3, maxParticles: 10000, stars: 1, trails: 3000 }
+            ]
+        }
+    },
+
+    // Sound (synthesized with WebAudio; starts after the first tap / click / key press)
+    AUDIO: {
+        VOLUME: 0.7,                  // Master volume (0-1), changeable in the menu
+        MUTED: false,
+        MUSIC: false,                 // Festive music bed
+        MUSIC_VOLUME: 0.25,           // Music level relative to the effects
+        SPEED_OF_SOUND: 2000,         // World units per second - far bursts are heard later
+        REFERENCE_DISTANCE: 800,      // Bursts closer than this play at full volume and brightness
+        MAX_VOICES: 24,               // Sounds playing at once before new ones are skipped
+        MIN_INTERVAL: {               // Seconds between sounds of one kind (a burst has many stars)
+            launch: 0.08,
+            burst: 0.06,
+            split: 0.1,
+            crackle: 0.08,
+            firecracker: 0.8
+        }
+    },
+
+    // Scripted shows (see choreographyPlayer.js for the JSON format)
+    CHOREOGRAPHY: {
+        URL: null,                    // Show file to load at startup (?show=<url> overrides)
+        AUTO_START: false             // Play as soon as it loads instead of waiting for startShow
+    },
+
+    // Random numbers (point cloud, trajectories, bursts, fortune draw)
+    RANDOM: {
+        SEED: null                    // Integer or string for a reproducible run (?seed=1234 overrides);
+                                      // null = new seed each visit (logged to the console and debug HUD)
     },
 
     // Debug Settings
     DEBUG: {
         SHOW_GESTURE_CANVAS: false,   // Show webcam overlay
-        SHOW_STATS: false,            // Show FPS stats
+        SHOW_STATS: false,            // Show the developer HUD (FPS, gestures, particles) - toggle with `
         LOG_GESTURES: true            // Console log gesture events
     }
 };
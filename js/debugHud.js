@@ -0,0 +1,162 @@
+/**
+ * DebugHud.js
+ * Developer heads-up panel: render FPS with a frame-time graph, MediaPipe
+ * inference rate, per-hand gesture state, finger counts and cooldowns,
+ * particle usage and scroll state
+ */
+
+import { CONFIG } from './config.js';
+
+const GRAPH_SAMPLES = 120;      // Frame times kept for the graph
+const TEXT_REFRESH_MS = 250;    // How often the numbers are rewritten
+const GRAPH_MAX_MS = 50;        // Frame time at the top of the graph
+
+export class DebugHud {
+    /**
+     * @param {Object} sources - { gestureDetector, fireworksSystem, scrollManager, qualityGovernor, random }
+     */
+    constructor(sources) {
+        this.sources = sources;
+        this.visible = false;
+
+        this.frameTimes = new Float32Array(GRAPH_SAMPLES); // Ring buffer (ms)
+        this.frameIndex = 0;
+        this.frameCount = 0;
+
+        this.lastRefresh = performance.now();
+        this.lastResults = 0;
+        this.inferenceRate = 0;
+
+        this.panel = document.getElementById('debug-hud');
+        this.textElement = document.getElementById('debug-hud-text');
+        this.graph = document.getElementById('debug-hud-graph');
+        this.graphCtx = this.graph.getContext('2d');
+
+        this.setVisible(CONFIG.DEBUG.SHOW_STATS);
+    }
+
+    /**
+     * Show or hide the HUD
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        CONFIG.DEBUG.SHOW_STATS = visible;
+        this.panel.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Toggle the HUD
+     * @returns {boolean} New visibility
+     */
+    toggle() {
+        this.setVisible(!this.visible);
+        return this.visible;
+    }
+
+    /**
+     * Record a frame and refresh the panel (called every render frame)
+     * @param {number} deltaTime - Time since last frame (seconds)
+     */
+    update(deltaTime) {
+        this.frameTimes[this.frameIndex] = deltaTime * 1000;
+        this.frameIndex = (this.frameIndex + 1) % GRAPH_SAMPLES;
+        this.frameCount = Math.min(this.frameCount + 1, GRAPH_SAMPLES);
+
+        if (!this.visible) return;
+
+        const now = performance.now();
+        if (now - this.lastRefresh < TEXT_REFRESH_MS) return;
+
+        // MediaPipe results per second since the last refresh
+        const { gestureDetector } = this.sources;
+        const results = gestureDetector ? gestureDetector.stats.results : 0;
+        this.inferenceRate = (results - this.lastResults) / ((now - this.lastRefresh) / 1000);
+        this.lastResults = results;
+        this.lastRefresh = now;
+
+        this.renderText();
+        this.renderGraph();
+    }
+
+    /**
+     * Average render FPS over the graph window
+     */
+    getFps() {
+        if (this.frameCount === 0) return 0;
+
+        let total = 0;
+        for (let i = 0; i < this.frameCount; i++) {
+            total += this.frameTimes[i];
+        }
+        return total > 0 ? 1000 * this.frameCount / total : 0;
+    }
+
+    /**
+     * Rewrite the stats text
+     */
+    renderText() {
+        const { gestureDetector, fireworksSystem, scrollManager, qualityGovernor, random } = this.sources;
+        const lastFrameMs = this.frameTimes[(this.frameIndex + GRAPH_SAMPLES - 1) % GRAPH_SAMPLES];
+
+        const lines = [
+            `Render    ${this.getFps().toFixed(0)} fps  (${lastFrameMs.toFixed(1)} ms)`,
+            `MediaPipe ${this.inferenceRate.toFixed(0)} Hz  (${gestureDetector ? gestureDetector.stats.inferenceMs.toFixed(1) : '-'} ms)`
+        ];
+
+        if (gestureDetector && gestureDetector.handStates.size > 0) {
+            gestureDetector.handStates.forEach((handState, hand) => {
+                const cooldown = gestureDetector.getCooldownRemaining(hand);
+                lines.push(
+                    `${hand.padEnd(5)}     ${handState.currentState.padEnd(7)} ` +
+                    `fingers ${handState.rawFingerCount} raw / ${handState.currentFingerCount} debounced  ` +
+                    `cooldown ${cooldown > 0 ? `${Math.ceil(cooldown)} ms` : 'ready'}`
+                );
+            });
+        } else {
+            lines.push('Hands     none');
+        }
+
+        const poolSize = CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE;
+        const active = fireworksSystem ? fireworksSystem.activeCount : 0;
+        lines.push(`Particles ${active} / ${poolSize}  (${Math.round(active / poolSize * 100)}%)`);
+        lines.push(`Scrolls   ${scrollManager ? scrollManager.state : '-'}`);
+        if (qualityGovernor && qualityGovernor.enabled) {
+            const level = qualityGovernor.getLevel();
+            lines.push(`Quality   ${level.name}  (pixel ratio ${level.pixelRatio}, ${level.antialias ? 'AA' : 'no AA'})`);
+        } else {
+            lines.push('Quality   fixed');
+        }
+        lines.push(`Seed      ${random ? random.seed : '-'}`);
+
+        this.textElement.textContent = lines.join('\n');
+    }
+
+    /**
+     * Draw frame times as bars, oldest on the left, with a target-FPS line
+     */
+    renderGraph() {
+        const ctx = this.graphCtx;
+        const width = this.graph.width;
+        const height = this.graph.height;
+        const barWidth = width / GRAPH_SAMPLES;
+        const targetMs = 1000 / CONFIG.PERFORMANCE.TARGET_FPS;
+
+        ctx.clearRect(0, 0, width, height);
+
+        for (let i = 0; i < GRAPH_SAMPLES; i++) {
+            const frameMs = this.frameTimes[(this.frameIndex + i) % GRAPH_SAMPLES];
+            const barHeight = Math.min(frameMs / GRAPH_MAX_MS, 1) * height;
+
+            // Green within budget, orange up to 2× budget, red beyond
+            ctx.fillStyle = frameMs <= targetMs * 1.1 ? '#3c6' : frameMs <= targetMs * 2 ? '#f90' : '#f33';
+            ctx.fillRect(i * barWidth, height - barHeight, Math.max(barWidth - 1, 1), barHeight);
+        }
+
+        const targetY = height - (targetMs / GRAPH_MAX_MS) * height;
+        ctx.strokeStyle = 'rgba(255, 215, 0, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(0, targetY);
+        ctx.lineTo(width, targetY);
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * FireworksShow.js
+ * Handle for one FireworksSystem.launch: tracks the show's particles and
+ * reports progress and completion while other shows share the pool
+ */
+
+export class FireworksShow {
+    /**
+     * @param {FireworksSystem} system - Owning system (used by cancel)
+     * @param {number} id - Launch number
+     * @param {number} pointCount - Text particles the show was given
+     */
+    constructor(system, id, pointCount) {
+        this.system = system;
+        this.id = id;
+        this.pointCount = pointCount;
+        this.duration = 0;          // Expected length in seconds (drives progress)
+
+        this.elapsed = 0;
+        this.progress = 0;          // 0-1, reaches 1 on completion
+        this.liveParticles = 0;     // Particles currently in flight
+        this.totalParticles = 0;    // Particles spawned so far (bursts keep adding)
+        this.isComplete = false;
+        this.wasCancelled = false;
+
+        // Callbacks
+        this.onProgress = null;     // (progress, show)
+        this.onComplete = null;     // (show)
+
+        // Resolves with the show once its last particle is gone
+        this.finished = new Promise(resolve => {
+            this.resolveFinished = resolve;
+        });
+    }
+
+    /**
+     * Extend the expected length to cover something ending at `seconds`
+     */
+    expectUntil(seconds) {
+        this.duration = Math.max(this.duration, seconds);
+    }
+
+    /**
+     * Count a new particle as part of this show (called by FireworksSystem)
+     */
+    track() {
+        this.liveParticles++;
+        this.totalParticles++;
+    }
+
+    /**
+     * A tracked particle finished (called by FireworksSystem)
+     */
+    release() {
+        this.liveParticles--;
+    }
+
+    /**
+     * Advance progress (called by FireworksSystem every frame)
+     */
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        // Hold just below 1 if particles outlive the estimate
+        this.progress = this.duration > 0 ? Math.min(this.elapsed / this.duration, 0.99) : 0.99;
+        if (this.onProgress) {
+            this.onProgress(this.progress, this);
+        }
+    }
+
+    /**
+     * Mark the show finished (called by FireworksSystem)
+     */
+    complete(cancelled = false) {
+        if (this.isComplete) return;
+
+        this.isComplete = true;
+        this.wasCancelled = cancelled;
+        this.progress = 1;
+
+        if (this.onProgress) {
+            this.onProgress(1, this);
+        }
+        if (this.onComplete) {
+            this.onComplete(this);
+        }
+        this.resolveFinished(this);
+    }
+
+    /**
+     * Stop the show now and free its particles
+     */
+    cancel() {
+        this.system.cancelShow(this);
+    }
+}
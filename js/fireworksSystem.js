@@ -1,108 +1,848 @@
 /**
  * FireworksSystem.js
  * Manages particle-based fireworks animation that forms Chinese characters
+ * Text particles burst out of aerial shells (see shellTypes.js) and settle
+ * into the characters, with decorative shells bursting around them
  */
 
 import { CONFIG } from './config.js';
+import { SHELL_TYPES } from './shellTypes.js';
+import { FireworksShow } from './fireworksShow.js';
+import { ParticleTrails } from './particleTrails.js';
+import { Random } from './random.js';
+import { PointGrid } from './pointGrid.js';
+
+// Point sprites sized in world units like PointsMaterial's sizeAttenuation,
+// drawn GLOW_SIZE / PARTICLE_SIZE larger so the soft halo has room
+const PARTICLE_VERTEX_SHADER = `
+    attribute float size;
+    attribute float alpha;
+    uniform float scale;
+    uniform float glow;
+    varying vec3 vColor;
+    varying float vAlpha;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vColor = color;
+        vAlpha = alpha;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * glow * (scale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+// Round sprite: white-hot core fading into a coloured glow
+const PARTICLE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    #include <fog_pars_fragment>
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5) * 2.0;
+        if (d > 1.0 || vAlpha <= 0.0) discard;
+
+        float core = 1.0 - smoothstep(0.0, 0.35, d);
+        float halo = exp(-d * d * 5.0) * (1.0 - d);
+        gl_FragColor = vec4(mix(vColor, vec3(1.0), core * 0.6), (core + halo) * vAlpha);
+        #include <fog_fragment>
+    }
+`;
+
+// Particle phases (stored per particle in a Uint8Array)
+const PHASE = {
+    INACTIVE: 0,
+    LAUNCH: 1,      // Rising straight to its text point
+    SHELL: 2,       // Rising shell, bursts at its target
+    WAITING: 3,     // Text particle hidden inside its shell
+    CONVERGE: 4,    // Text particle flying out of a burst onto its target
+    EXPLODE: 5,     // Flash on arrival
+    FADE: 6,        // Text fading and falling
+    STAR: 7,        // Burst star
+    SPARK: 8,       // Trail / crackle spark
+    MORPH: 9        // Text particle flowing from one phrase onto the next
+};
+
+// Phases of visible text particles (what morphTo can re-target)
+const TEXT_PHASES = [PHASE.LAUNCH, PHASE.CONVERGE, PHASE.EXPLODE, PHASE.FADE, PHASE.MORPH];
+
+// Phases that leave a motion trail in 'lines' mode (rising, flying out, bursting)
+const TRAIL_PHASES = new Uint8Array(Object.keys(PHASE).length);
+[PHASE.LAUNCH, PHASE.SHELL, PHASE.CONVERGE, PHASE.EXPLODE, PHASE.STAR, PHASE.MORPH].forEach(phase => {
+    TRAIL_PHASES[phase] = 1;
+});
+
+// Shell types by index, so particles can store them in a typed array
+const SHELL_NAMES = Object.keys(SHELL_TYPES);
+const SHELL_LIST = Object.values(SHELL_TYPES);
 
 export class FireworksSystem {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Random} [random] - Source of every random choice (seed it for reproducible shows)
+     */
+    constructor(scene, random = new Random()) {
         this.scene = scene;
-        this.particles = [];
+        this.random = random;
         this.isAnimating = false;
         this.targetPoints = [];
-        
-        // Pre-allocate particle pool for performance
-        this.particlePool = this.createParticlePool();
-        this.activeParticles = [];
-    }
-
-    /**
-     * Create a reusable particle pool
-     */
-    createParticlePool() {
-        const pool = [];
-        const poolSize = CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE;
-        
-        for (let i = 0; i < poolSize; i++) {
-            pool.push({
-                position: new THREE.Vector3(),
-                velocity: new THREE.Vector3(),
-                target: new THREE.Vector3(),
-                color: new THREE.Color(),
-                life: 0,
-                maxLife: 0,
-                size: CONFIG.FIREWORKS.PARTICLE_SIZE,
-                phase: 'inactive', // 'launch', 'converge', 'explode', 'fade', 'inactive'
-                alpha: 0,
-                isActive: false
-            });
+
+        // Pre-allocate particle storage for performance
+        this.createParticleStorage();
+
+        // Launches in flight, oldest first (they share the pool)
+        this.shows = [];
+        this.showCounter = 0;
+
+        // Fraction of each shell's stars to create (lowered by the quality governor)
+        this.starDensity = 1;
+
+        // Phase events for sound: (type, x, y, z, shellType) with type
+        // 'launch', 'burst', 'split', 'crackle' or 'arrive' (text reached its point)
+        this.onEffect = null;
+
+        // Scratch objects so the simulation doesn't allocate per frame
+        this.tmpColor = new THREE.Color();
+        this.tmpDirection = new THREE.Vector3();
+        this.tmpU = new THREE.Vector3();
+        this.tmpV = new THREE.Vector3();
+        this.tmpW = new THREE.Vector3();
+
+        // Current wind (CONFIG.FIREWORKS.WIND plus a gust easing towards gustTarget)
+        this.wind = new THREE.Vector3();
+        this.gust = new THREE.Vector3();
+        this.gustTarget = new THREE.Vector3();
+        this.gustTimer = 0;
+
+        // One mesh sized for the whole pool, reused by every launch
+        this.createParticleMesh();
+
+        // Motion trails ('afterimage' mode is drawn by SceneManager instead)
+        this.trails = CONFIG.FIREWORKS.TRAILS.MODE === 'lines'
+            ? new ParticleTrails(scene, this.capacity)
+            : null;
+    }
+
+    /**
+     * Allocate struct-of-arrays particle storage with a free list
+     * position / color / size / alpha are the GPU buffers themselves;
+     * particle i lives at index i of every array
+     */
+    createParticleStorage() {
+        const n = CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE;
+        this.capacity = n;
+
+        // GPU buffers (the simulation writes straight into these)
+        this.positions = new Float32Array(n * 3);
+        this.colors = new Float32Array(n * 3);
+        this.sizes = new Float32Array(n);
+        this.alphas = new Float32Array(n);          // Drawn alpha (simulated alpha × depth dimming)
+
+        // Simulation state
+        this.velocities = new Float32Array(n * 3);
+        this.targets = new Float32Array(n * 3);
+        this.origins = new Float32Array(n * 3);     // Where a rising shell started
+        this.baseColors = new Float32Array(n * 3);  // Colour at the start of the phase
+        this.fadeColors = new Float32Array(n * 3);  // Colour at the end of the phase
+        this.life = new Float32Array(n);            // Negative while waiting for a delayed start
+        this.maxLife = new Float32Array(n);
+        this.alpha = new Float32Array(n);
+        this.targetZ = new Float32Array(n);         // Text depth, for atmospheric perspective
+        this.trailTimer = new Float32Array(n);
+        this.starScale = new Float32Array(n);       // Fraction of the shell's stars to burst into
+        this.burstScale = new Float32Array(n);      // Burst radius multiplier (hand steering)
+        this.phase = new Uint8Array(n);
+        this.generation = new Uint8Array(n);        // 1 for stars created by a crossette split
+        this.flicker = new Uint8Array(n);
+        this.started = new Uint8Array(n);          // Set on the first update after any delay
+        this.shellIndex = new Int8Array(n);         // SHELL_LIST entry (burst type, or the star's shell)
+        this.burstColor = new Uint32Array(n);       // Burst colour of a rising shell
+        this.particleShows = new Array(n).fill(null); // FireworksShow each particle belongs to
+
+        // Live particle indices; particles spawned mid-update are appended
+        this.activeList = new Int32Array(n);
+        this.activeCount = 0;
+
+        // Stack of free indices, lowest on top so the draw range stays short
+        this.freeList = new Int32Array(n);
+        this.resetFreeList();
+        this.drawCount = 0;     // 1 + highest index handed out since the pool was last empty
+    }
+
+    /**
+     * Refill the free list with every index, 0 on top
+     */
+    resetFreeList() {
+        for (let i = 0; i < this.capacity; i++) {
+            this.freeList[i] = this.capacity - 1 - i;
         }
-        
-        return pool;
+        this.freeCount = this.capacity;
     }
 
     /**
      * Launch fireworks to form target text points
-     * @param {Array} targetPoints - Array of {x, y, z, color} points
+     * Runs alongside any shows already in flight; what happens when the pool
+     * can't fit the text is set by CONFIG.FIREWORKS.POOL_POLICY
+     * @param {Array} targetPoints - Array of {x, y, z, color, charIndex} points
+     * @param {Object} [options] - { palm: {x, y, size} from GestureDetector.getPalm, to steer the launch }
+     * @returns {FireworksShow|null} Handle for progress / completion, or null if rejected
      */
-    launch(targetPoints) {
-        if (this.isAnimating) {
-            console.log('⚠️ Animation already in progress');
-            return;
+    launch(targetPoints, { palm = null } = {}) {
+        const wanted = Math.min(targetPoints.length, CONFIG.PERFORMANCE.MAX_PARTICLES);
+        let budget = this.getTextBudget();
+
+        if (budget < wanted) {
+            switch (CONFIG.FIREWORKS.POOL_POLICY) {
+                case 'replace':
+                    // Newest launch wins: stop the oldest shows until it fits
+                    while (budget < wanted && this.shows.length > 0) {
+                        console.log(`♻️ Pool full, stopping show #${this.shows[0].id}`);
+                        this.cancelShow(this.shows[0]);
+                        budget = this.getTextBudget();
+                    }
+                    break;
+                case 'reject':
+                    console.log('⚠️ Particle pool full, launch rejected');
+                    return null;
+                default:
+                    // 'thin': play with the particles that are free
+                    break;
+            }
         }
 
-        this.targetPoints = targetPoints;
+        if (budget < CONFIG.FIREWORKS.MIN_SHOW_PARTICLES) {
+            console.log('⚠️ Particle pool exhausted, launch rejected');
+            return null;
+        }
+
+        this.targetPoints = this.limitPoints(targetPoints, budget);
+
+        // Thrown by hand: launch from the palm's side, text pulled towards it
+        let steering = null;
+        if (palm && CONFIG.FIREWORKS.HAND_STEERING.ENABLED && this.targetPoints.length > 0) {
+            steering = this.getSteering(palm, this.targetPoints);
+            this.targetPoints = this.offsetPoints(this.targetPoints, steering.offsetX, steering.offsetY);
+        }
+
+        const show = new FireworksShow(this, ++this.showCounter, this.targetPoints.length);
+        this.shows.push(show);
         this.isAnimating = true;
-        this.activeParticles = [];
 
-        // Create launch particles
-        const launchCount = CONFIG.FIREWORKS.LAUNCH_COUNT;
-        const pointsPerParticle = Math.ceil(targetPoints.length / launchCount);
+        const textShell = CONFIG.FIREWORKS.TEXT_SHELL;
+        if (textShell && SHELL_TYPES[textShell]) {
+            this.launchTextShells(this.targetPoints, textShell, show, steering);
+        } else {
+            this.launchTextDirect(this.targetPoints, show, steering);
+        }
+
+        this.launchDecorativeShells(this.targetPoints, show, steering);
+
+        console.log(`🎆 Launched show #${show.id} with ${show.totalParticles} firework particles` +
+            (this.shows.length > 1 ? ` (${this.shows.length} shows in flight)` : ''));
+        return show;
+    }
+
+    /**
+     * Turn an opened palm into launch steering: the launch site on the palm's
+     * side of the screen, how far to move the text towards the palm, and a
+     * burst size from how close the hand is to the camera
+     * @param {Object} palm - {x, y, size} (x / y 0-1 across the user's view, y down)
+     * @param {Array} targetPoints - Text points, for the text's centre
+     * @returns {Object} {site, offsetX, offsetY, burstScale}
+     */
+    getSteering(palm, targetPoints) {
+        const settings = CONFIG.FIREWORKS.HAND_STEERING;
+        const bounds = this.getBounds(targetPoints);
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+
+        // Palm position in the world, around the text's height
+        const palmX = (palm.x - 0.5) * 2 * settings.SPAN_X;
+        const palmY = centerY + (0.5 - palm.y) * settings.SPAN_Y;
+
+        const nudge = value => Math.max(-settings.MAX_NUDGE, Math.min(value * settings.TEXT_NUDGE, settings.MAX_NUDGE));
+        const burstScale = Math.max(settings.MIN_BURST, Math.min(palm.size / settings.PALM_SIZE, settings.MAX_BURST));
+
+        return {
+            site: this.getLaunchSite({ x: palmX, y: palmY, z: 0 }),
+            offsetX: nudge(palmX - centerX),
+            offsetY: nudge(palmY - centerY),
+            burstScale
+        };
+    }
+
+    /**
+     * Copy of points moved by an offset (the originals may be reused for the next launch)
+     */
+    offsetPoints(points, offsetX, offsetY) {
+        if (offsetX === 0 && offsetY === 0) return points;
+        return points.map(point => ({ ...point, x: point.x + offsetX, y: point.y + offsetY }));
+    }
+
+    /**
+     * Text particles a new show may use: free pool minus room for its bursts
+     */
+    getTextBudget() {
+        return Math.min(CONFIG.PERFORMANCE.MAX_PARTICLES, this.freeCount - CONFIG.FIREWORKS.SHOW_RESERVE);
+    }
+
+    /**
+     * Keep text within a particle budget so the rest of the pool is free for bursts
+     * (evenly thinned, so every character keeps its shape)
+     */
+    limitPoints(points, max = CONFIG.PERFORMANCE.MAX_PARTICLES) {
+        if (points.length <= max) return points;
+
+        const step = points.length / max;
+        const limited = [];
+        for (let i = 0; i < max; i++) {
+            limited.push(points[Math.floor(i * step)]);
+        }
+        return limited;
+    }
+
+    /**
+     * Original text arrival: every particle flies straight from the ground to its target
+     * @param {Object} [steering] - From getSteering; every particle leaves from its site
+     */
+    launchTextDirect(targetPoints, show, steering = null) {
+        const launchSites = new Map();  // Sites used (by index), for one launch sound each
+        let latestDelay = 0;
+
+        for (let k = 0; k < targetPoints.length; k++) {
+            const target = targetPoints[k];
 
-        for (let i = 0; i < targetPoints.length; i++) {
-            const target = targetPoints[i];
-            
             // Get particle from pool
-            const particle = this.getParticleFromPool();
-            if (!particle) break; // Pool exhausted
-
-            // Launch from bottom center with spread
-            const launchX = (Math.random() - 0.5) * CONFIG.FIREWORKS.LAUNCH_SPREAD;
-            const launchY = -400;
-            const launchZ = target.z + (Math.random() - 0.5) * 200;
-
-            particle.position.set(launchX, launchY, launchZ);
-            particle.target.set(target.x, target.y, target.z);
-            particle.color.setHex(target.color);
-            particle.targetZ = target.z; // Store for atmospheric perspective
-            
+            const i = this.allocate(show);
+            if (i === -1) break; // Pool exhausted
+
+            // Launch from the nearest mortar site (or the steered one) with spread
+            const site = steering ? steering.site : this.getLaunchSite(target);
+            const launchX = site.x + this.random.spread(CONFIG.FIREWORKS.LAUNCH_SPREAD);
+            const launchY = site.y;
+            const launchZ = site.z + this.random.spread(200);
+
+            this.setVector(this.positions, i, launchX, launchY, launchZ);
+            this.setVector(this.targets, i, target.x, target.y, target.z);
+            this.setColorHex(this.colors, i, target.color);
+            this.targetZ[i] = target.z; // Store for atmospheric perspective
+
             // Launch velocity
-            const direction = particle.target.clone().sub(particle.position).normalize();
-            const speed = CONFIG.FIREWORKS.LAUNCH_SPEED + Math.random() * 5;
-            particle.velocity.copy(direction).multiplyScalar(speed);
-            
-            particle.life = 0;
-            particle.maxLife = CONFIG.FIREWORKS.RISE_TIME;
-            particle.phase = 'launch';
-            particle.alpha = 1;
-            particle.isActive = true;
-            particle.size = CONFIG.FIREWORKS.PARTICLE_SIZE;
+            const direction = this.tmpDirection.set(target.x - launchX, target.y - launchY, target.z - launchZ).normalize();
+            const speed = CONFIG.FIREWORKS.LAUNCH_SPEED + this.random.next() * 5;
+            this.setVector(this.velocities, i, direction.x * speed, direction.y * speed, direction.z * speed);
 
-            this.activeParticles.push(particle);
+            this.life[i] = -site.delay;
+            this.maxLife[i] = CONFIG.FIREWORKS.RISE_TIME;
+            this.phase[i] = PHASE.LAUNCH;
+            launchSites.set(site.index, site);
+            latestDelay = Math.max(latestDelay, site.delay);
         }
 
-        // Create Three.js geometry
-        this.createParticleMesh();
+        launchSites.forEach(site => this.emit('launch', site.x, site.y, site.z));
+
+        show.expectUntil(latestDelay + CONFIG.FIREWORKS.RISE_TIME + 0.3 + CONFIG.FIREWORKS.FADE_TIME);
+    }
+
+    /**
+     * Shell text arrival: one shell rises per character, bursts at the
+     * character's centre and its stars settle into the character's shape
+     * @param {Object} [steering] - From getSteering; every shell leaves from its site
+     */
+    launchTextShells(targetPoints, shellType, show, steering = null) {
+        const shellIndex = SHELL_NAMES.indexOf(shellType);
+
+        // Group points by character
+        const groups = new Map();
+        targetPoints.forEach(point => {
+            const key = point.charIndex || 0;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(point);
+        });
+
+        let groupIndex = 0;
+        groups.forEach(points => {
+            const center = { x: 0, y: 0, z: 0 };
+            points.forEach(point => {
+                center.x += point.x / points.length;
+                center.y += point.y / points.length;
+                center.z += point.z / points.length;
+            });
+
+            const site = steering ? steering.site : this.getLaunchSite(center);
+            const delay = groupIndex * CONFIG.FIREWORKS.TEXT_SHELL_STAGGER;
+            const burstColor = this.randomPaletteColor();
+            const burstScale = steering ? steering.burstScale : 1;
+            groupIndex++;
+
+            // The shell itself (bursts into a lighter version of its normal pattern)
+            this.launchShell(shellType, center, { delay, color: burstColor, starScale: 0.5, burstScale, show, site });
+            show.expectUntil(site.delay + delay + CONFIG.FIREWORKS.RISE_TIME + CONFIG.FIREWORKS.CONVERGE_TIME +
+                0.3 + CONFIG.FIREWORKS.FADE_TIME);
+
+            // Text particles ride inside the shell, hidden until it bursts
+            for (const point of points) {
+                const i = this.allocate(show);
+                if (i === -1) return; // Pool exhausted
+
+                this.phase[i] = PHASE.WAITING;
+                this.life[i] = -(delay + site.delay);
+                this.maxLife[i] = CONFIG.FIREWORKS.RISE_TIME;
+                this.alpha[i] = 0;
+                this.shellIndex[i] = shellIndex;
+                this.burstScale[i] = burstScale;
+                this.setVector(this.positions, i, center.x, center.y, center.z);
+                this.setVector(this.targets, i, point.x, point.y, point.z);
+                this.targetZ[i] = point.z;
+                this.setColorHex(this.fadeColors, i, point.color);   // Text colour once settled
+                this.setColorHex(this.baseColors, i, burstColor);    // Burst colour while flying out
+                this.setColorHex(this.colors, i, burstColor);
+            }
+        });
+    }
+
+    /**
+     * Decorative shells bursting around the text
+     * @param {Object} [steering] - From getSteering; scales the bursts
+     */
+    launchDecorativeShells(targetPoints, show, steering = null) {
+        const count = CONFIG.FIREWORKS.DECORATIVE_SHELLS;
+        const types = CONFIG.FIREWORKS.DECORATIVE_TYPES.filter(type => SHELL_TYPES[type]);
+        if (count <= 0 || types.length === 0 || targetPoints.length === 0) return;
+
+        // Ellipse around the text, upper half only (bursts below the text hide behind scrolls)
+        const bounds = this.getBounds(targetPoints);
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const radiusX = (bounds.maxX - bounds.minX) / 2 + CONFIG.FIREWORKS.DECORATIVE_MARGIN;
+        const radiusY = (bounds.maxY - bounds.minY) / 2 + CONFIG.FIREWORKS.DECORATIVE_MARGIN;
+
+        for (let i = 0; i < count; i++) {
+            // Spread evenly across the arc with a little randomness
+            const angle = Math.PI * (i + this.random.range(0.2, 0.8)) / count;
+            const position = {
+                x: centerX + Math.cos(angle) * radiusX,
+                y: centerY + Math.sin(angle) * radiusY,
+                z: this.random.spread(200) - 100
+            };
+            const type = this.random.pick(types);
+            const delay = CONFIG.FIREWORKS.DECORATIVE_DELAY + i * CONFIG.FIREWORKS.DECORATIVE_INTERVAL;
+
+            const burstScale = steering ? steering.burstScale : 1;
+            this.launchShell(type, position, { delay, color: this.randomPaletteColor(), burstScale, show });
+            show.expectUntil(this.getLaunchSite(position).delay + delay + CONFIG.FIREWORKS.RISE_TIME + SHELL_TYPES[type].life);
+        }
+    }
+
+    /**
+     * Limit how many motion trails are drawn per frame ('lines' mode; 0 = none)
+     */
+    setTrailLimit(count) {
+        if (this.trails) {
+            this.trails.setLimit(count);
+        }
+    }
+
+    /**
+     * Re-target the text already in the sky onto a new phrase without relaunching
+     * Each point takes the nearest live particle so the shape flows; spare
+     * particles fall away and missing ones split off their nearest neighbour
+     * @param {Array} newPoints - Array of {x, y, z, color} points (e.g. from TextToPoints)
+     * @param {FireworksShow} [show] - Show whose text morphs (default: the newest)
+     * @returns {FireworksShow|null} The show, or null if it has no text in the sky
+     */
+    morphTo(newPoints, show = this.shows[this.shows.length - 1]) {
+        if (!show || newPoints.length === 0) return null;
+
+        const particles = this.getTextParticles(show);
+        if (particles.length === 0) return null;
+
+        // Particles still hidden in an unburst shell would land on the old phrase
+        for (let k = 0; k < this.activeCount; k++) {
+            const i = this.activeList[k];
+            if (this.phase[i] === PHASE.WAITING && this.particleShows[i] === show) {
+                this.phase[i] = PHASE.INACTIVE;
+            }
+        }
+
+        const points = this.limitPoints(newPoints, particles.length + this.freeCount);
+        const particleX = particles.map(i => this.positions[i * 3]);
+        const particleY = particles.map(i => this.positions[i * 3 + 1]);
+        const matched = new Uint8Array(particles.length);
+        const unmatchedPoints = [];
+
+        // Greedy nearest matching, walking the smaller set in random order
+        if (points.length <= particles.length) {
+            const grid = new PointGrid(particleX, particleY);
+            this.random.shuffle(points.map((point, k) => k)).forEach(k => {
+                const point = points[k];
+                const p = grid.take(point.x, point.y);
+                matched[p] = 1;
+                this.startMorph(particles[p], point);
+            });
+        } else {
+            const grid = new PointGrid(points.map(point => point.x), points.map(point => point.y));
+            this.random.shuffle(particles.map((i, p) => p)).forEach(p => {
+                const k = grid.take(particleX[p], particleY[p]);
+                matched[p] = 1;
+                this.startMorph(particles[p], points[k]);
+            });
+            for (const cell of grid.cells) {
+                cell.forEach(k => unmatchedPoints.push(points[k]));
+            }
+        }
+
+        // Spare particles fall and fade where they are
+        particles.forEach((i, p) => {
+            if (matched[p] || this.phase[i] === PHASE.FADE) return;
+            this.phase[i] = PHASE.FADE;
+            this.life[i] = 0;
+            this.maxLife[i] = CONFIG.FIREWORKS.FADE_TIME;
+            this.setVector(this.velocities, i, 0, 0, 0);
+        });
+
+        // Missing particles split off the nearest old one
+        if (unmatchedPoints.length > 0) {
+            const grid = new PointGrid(particleX, particleY);
+            for (const point of unmatchedPoints) {
+                const source = particles[grid.nearest(point.x, point.y)];
+                const i = this.allocate(show);
+                if (i === -1) break; // Pool exhausted
+
+                const s3 = source * 3;
+                this.setVector(this.positions, i, this.positions[s3], this.positions[s3 + 1], this.positions[s3 + 2]);
+                this.setVector(this.colors, i, this.colors[s3], this.colors[s3 + 1], this.colors[s3 + 2]);
+                this.alpha[i] = 0;
+                this.startMorph(i, point);
+            }
+        }
+
+        show.expectUntil(show.elapsed + CONFIG.FIREWORKS.MORPH_TIME + 0.3 + CONFIG.FIREWORKS.FADE_TIME);
+        this.isAnimating = true;
+
+        console.log(`🔀 Show #${show.id} morphing ${particles.length} → ${points.length} text particles`);
+        return show;
+    }
+
+    /**
+     * Visible text particles of a show
+     * @returns {Array<number>} Particle indices
+     */
+    getTextParticles(show) {
+        const particles = [];
+        for (let k = 0; k < this.activeCount; k++) {
+            const i = this.activeList[k];
+            if (this.particleShows[i] === show && this.life[i] >= 0 && TEXT_PHASES.includes(this.phase[i])) {
+                particles.push(i);
+            }
+        }
+        return particles;
+    }
+
+    /**
+     * Send a particle gliding from where it is onto a new text point
+     */
+    startMorph(i, point) {
+        const i3 = i * 3;
+        this.phase[i] = PHASE.MORPH;
+        this.life[i] = 0;
+        this.maxLife[i] = CONFIG.FIREWORKS.MORPH_TIME;
+        this.targetZ[i] = point.z;
+        this.setVector(this.origins, i, this.positions[i3], this.positions[i3 + 1], this.positions[i3 + 2]);
+        this.setVector(this.targets, i, point.x, point.y, point.z);
+        this.setVector(this.baseColors, i, this.colors[i3], this.colors[i3 + 1], this.colors[i3 + 2]);
+        this.setColorHex(this.fadeColors, i, point.color);
+    }
+
+    /**
+     * Mortar site to launch from: a CONFIG.FIREWORKS.LAUNCH_SITES entry (the one
+     * nearest the target along x unless an index is given), or straight below
+     * the target when no sites are configured
+     * @param {Object} target - {x, y, z}
+     * @param {number} [index] - LAUNCH_SITES index (-1 = nearest)
+     * @returns {Object} {x, y, z, delay, index}
+     */
+    getLaunchSite(target, index = -1) {
+        const sites = CONFIG.FIREWORKS.LAUNCH_SITES;
+        if (!sites || sites.length === 0) {
+            return { x: target.x, y: CONFIG.FIREWORKS.LAUNCH_Y, z: target.z, delay: 0, index: -1 };
+        }
+
+        if (index < 0 || index >= sites.length) {
+            index = 0;
+            for (let s = 1; s < sites.length; s++) {
+                if (Math.abs(sites[s].x - target.x) < Math.abs(sites[index].x - target.x)) {
+                    index = s;
+                }
+            }
+        }
+
+        const site = sites[index];
+        return {
+            x: site.x,
+            y: typeof site.y === 'number' ? site.y : CONFIG.FIREWORKS.LAUNCH_Y,
+            z: typeof site.z === 'number' ? site.z : target.z,
+            delay: site.delay || 0,
+            index
+        };
+    }
+
+    /**
+     * Fire a single aerial shell that rises from the ground and bursts
+     * @param {string} type - Key of SHELL_TYPES
+     * @param {Object} target - Burst position {x, y, z}
+     * @param {Object} [options] - { delay (s), color (hex), starScale (0-1), burstScale (burst radius),
+     *                              show (FireworksShow), site (LAUNCH_SITES index or a site from
+     *                              getLaunchSite; default the nearest) }
+     * @returns {number} Index of the shell particle, or -1 if it couldn't be launched
+     */
+    launchShell(type, target, { delay = 0, color = this.randomPaletteColor(), starScale = 1, burstScale = 1, show = null, site = -1 } = {}) {
+        const shellIndex = SHELL_NAMES.indexOf(type);
+        if (shellIndex === -1) {
+            console.warn(`⚠️ Unknown shell type: ${type}`);
+            return -1;
+        }
+
+        const i = this.allocate(show);
+        if (i === -1) return -1;
+
+        const launchSite = typeof site === 'object' ? site : this.getLaunchSite(target, site);
+        this.phase[i] = PHASE.SHELL;
+        this.life[i] = -(delay + launchSite.delay);
+        this.maxLife[i] = CONFIG.FIREWORKS.RISE_TIME;
+        this.shellIndex[i] = shellIndex;
+        this.burstColor[i] = color;
+        this.starScale[i] = starScale;
+        this.burstScale[i] = burstScale;
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * 1.5;
+        this.setColorHex(this.colors, i, CONFIG.COLORS.GOLD);
+
+        const originX = launchSite.x + this.random.spread(CONFIG.FIREWORKS.LAUNCH_SPREAD);
+        this.setVector(this.origins, i, originX, launchSite.y, launchSite.z);
+        this.setVector(this.positions, i, originX, launchSite.y, launchSite.z);
+        this.setVector(this.targets, i, target.x, target.y, target.z);
+
+        this.isAnimating = true;
+        return i;
+    }
+
+    /**
+     * Burst a shell at a position right away
+     * @param {string} type - Key of SHELL_TYPES
+     * @param {Object} position - {x, y, z}
+     * @param {number} [color] - Burst colour (hex)
+     * @param {number} [starScale] - Fraction of the shell's stars to create
+     * @param {FireworksShow} [show] - Show the stars belong to
+     */
+    burst(type, position, color = this.randomPaletteColor(), starScale = 1, show = null) {
+        const shellIndex = SHELL_NAMES.indexOf(type);
+        if (shellIndex === -1) {
+            console.warn(`⚠️ Unknown shell type: ${type}`);
+            return;
+        }
+        this.burstAt(shellIndex, position.x, position.y, position.z, color, starScale, show);
+    }
+
+    /**
+     * Create a burst's stars (index-based core of burst)
+     * @param {number} [burstScale] - Multiplies star speed, so the burst's radius
+     */
+    burstAt(shellIndex, x, y, z, color, starScale, show, burstScale = 1) {
+        const shell = SHELL_LIST[shellIndex];
+        const starCount = Math.max(1, Math.round(shell.stars * starScale * this.starDensity));
+        const direction = this.tmpDirection;
+
+        // Ring bursts lie in a randomly tilted plane
+        const ringU = this.tmpU;
+        const ringV = this.tmpV;
+        if (shell.pattern === 'ring') {
+            const normal = this.random.direction(this.tmpW);
+            ringU.set(1, 0, 0).cross(normal);
+            if (ringU.lengthSq() < 0.01) ringU.set(0, 1, 0).cross(normal);
+            ringU.normalize();
+            ringV.crossVectors(normal, ringU);
+        }
+
+        for (let k = 0; k < starCount; k++) {
+            if (shell.pattern === 'ring') {
+                const angle = (k / starCount) * Math.PI * 2;
+                direction.copy(ringU).multiplyScalar(Math.cos(angle)).addScaledVector(ringV, Math.sin(angle));
+            } else {
+                this.random.direction(direction);
+            }
+
+            const speed = shell.speed * burstScale * (1 + this.random.spread(2) * shell.speedJitter);
+            const starColor = this.getStarColor(shell, color, k);
+            if (!this.spawnStar(shellIndex, x, y, z, direction, speed, starColor, shell.life, 0, show)) break;
+        }
+
+        this.isAnimating = true;
+    }
+
+    /**
+     * Create one burst star
+     * @returns {boolean} False if the pool is exhausted
+     */
+    spawnStar(shellIndex, x, y, z, direction, speed, color, life, generation, show) {
+        const i = this.allocate(show);
+        if (i === -1) return false;
+
+        const shell = SHELL_LIST[shellIndex];
+        this.phase[i] = PHASE.STAR;
+        this.shellIndex[i] = shellIndex;
+        this.generation[i] = generation;
+        this.maxLife[i] = life * this.random.range(0.85, 1.15);
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * shell.size;
+        this.setVector(this.positions, i, x, y, z);
+        this.setVector(this.velocities, i, direction.x * speed, direction.y * speed, direction.z * speed);
+        this.setColorHex(this.baseColors, i, color);
+        this.setColorHex(this.fadeColors, i, shell.fadeTo !== null ? shell.fadeTo : color);
+        this.setColorHex(this.colors, i, color);
+        this.trailTimer[i] = this.random.next() * (shell.trail ? shell.trail.interval : 0);
+        return true;
+    }
 
-        console.log(`🎆 Launched ${this.activeParticles.length} firework particles`);
+    /**
+     * Create a short-lived spark (trails and crackle flashes)
+     */
+    spawnSpark(x, y, z, vx, vy, vz, r, g, b, life, size, flicker, show) {
+        const i = this.allocate(show);
+        if (i === -1) return;
+
+        this.phase[i] = PHASE.SPARK;
+        this.maxLife[i] = life;
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * size;
+        this.setVector(this.positions, i, x, y, z);
+        this.setVector(this.velocities, i, vx, vy, vz);
+        this.setVector(this.colors, i, r, g, b);
+        this.flicker[i] = flicker ? 1 : 0;
+    }
+
+    /**
+     * Colour of the k-th star of a burst
+     */
+    getStarColor(shell, burstColor, index) {
+        switch (shell.colors) {
+            case 'gold':
+                return CONFIG.COLORS.GOLD;
+            case 'alternate':
+                return index % 2 === 0 ? burstColor : CONFIG.COLORS.GOLD;
+            case 'palette':
+                return this.randomPaletteColor();
+            default:
+                return burstColor;
+        }
+    }
+
+    /**
+     * Random colour from the CNY palette
+     */
+    randomPaletteColor() {
+        const palette = CONFIG.COLORS.PALETTE;
+        return this.random.pick(palette);
+    }
+
+    /**
+     * Take a particle from the free list (O(1)) and start updating it
+     * @returns {number} Particle index, or -1 if the pool is exhausted
+     */
+    allocate(show) {
+        if (this.freeCount === 0) return -1;
+
+        const i = this.freeList[--this.freeCount];
+        this.activeList[this.activeCount++] = i;
+        if (i >= this.drawCount) this.drawCount = i + 1;
+
+        // Clear per-use fields
+        this.life[i] = 0;
+        this.alpha[i] = 1;
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE;
+        this.setVector(this.velocities, i, 0, 0, 0);
+        this.shellIndex[i] = -1;
+        this.generation[i] = 0;
+        this.trailTimer[i] = 0;
+        this.flicker[i] = 0;
+        this.started[i] = 0;
+        this.targetZ[i] = 0;
+        this.starScale[i] = 1;
+        this.burstScale[i] = 1;
+        if (this.trails) {
+            this.trails.clear(i);
+        }
+
+        this.particleShows[i] = show;
+        if (show) {
+            show.track();
+        }
+        return i;
+    }
+
+    /**
+     * Return a particle to the free list (only once it's out of the active list)
+     */
+    release(i) {
+        this.phase[i] = PHASE.INACTIVE;
+        this.alphas[i] = 0;
+        this.sizes[i] = 0;
+
+        const show = this.particleShows[i];
+        if (show) {
+            show.release();
+            this.particleShows[i] = null;
+        }
+
+        this.freeList[this.freeCount++] = i;
     }
 
     /**
-     * Get an inactive particle from the pool
+     * Remove finished particles from the active list in place, returning
+     * them to the pool (and, optionally, every particle of one show)
      */
-    getParticleFromPool() {
-        return this.particlePool.find(p => !p.isActive);
+    compactActiveList(cancelledShow = null) {
+        let kept = 0;
+        for (let k = 0; k < this.activeCount; k++) {
+            const i = this.activeList[k];
+            if (this.phase[i] === PHASE.INACTIVE || (cancelledShow && this.particleShows[i] === cancelledShow)) {
+                this.release(i);
+            } else {
+                this.activeList[kept++] = i;
+            }
+        }
+        this.activeCount = kept;
+
+        // Pool empty again: restore the ordered free list so the draw range shrinks
+        if (this.activeCount === 0) {
+            this.resetFreeList();
+            this.drawCount = 0;
+        }
+    }
+
+    /**
+     * Report a phase event to onEffect
+     */
+    emit(type, x, y, z, shellType) {
+        if (this.onEffect) {
+            this.onEffect(type, x, y, z, shellType);
+        }
+    }
+
+    /**
+     * Write a vec3 into a flat array
+     */
+    setVector(array, i, x, y, z) {
+        const i3 = i * 3;
+        array[i3] = x;
+        array[i3 + 1] = y;
+        array[i3 + 2] = z;
+    }
+
+    /**
+     * Write a hex colour into a flat array (in the renderer's working colour space)
+     */
+    setColorHex(array, i, hex) {
+        this.tmpColor.setHex(hex);
+        this.setVector(array, i, this.tmpColor.r, this.tmpColor.g, this.tmpColor.b);
     }
 
     /**
@@ -116,28 +856,47 @@ export class FireworksSystem {
             this.particleMesh.material.dispose();
         }
 
-        // Create buffer geometry
+        // Buffer geometry backed directly by the simulation arrays
         const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE * 3);
-        const colors = new Float32Array(CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE * 3);
-        const sizes = new Float32Array(CONFIG.PERFORMANCE.PARTICLE_POOL_SIZE);
-
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        const attributes = {
+            position: new THREE.BufferAttribute(this.positions, 3),
+            color: new THREE.BufferAttribute(this.colors, 3),
+            size: new THREE.BufferAttribute(this.sizes, 1),
+            alpha: new THREE.BufferAttribute(this.alphas, 1)
+        };
+        Object.entries(attributes).forEach(([name, attribute]) => {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        });
+        geometry.setDrawRange(0, 0);
 
-        // Create material with vertex colors
-        const material = new THREE.PointsMaterial({
-            size: CONFIG.FIREWORKS.PARTICLE_SIZE,
+        // Shader material reading per-particle colour, size and alpha
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    scale: { value: 1 },
+                    glow: { value: CONFIG.FIREWORKS.GLOW_SIZE / CONFIG.FIREWORKS.PARTICLE_SIZE }
+                }
+            ]),
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
             vertexColors: true,
             transparent: true,
-            opacity: 1,
             blending: THREE.AdditiveBlending,
             depthWrite: false,
-            sizeAttenuation: true
+            fog: true
         });
 
         this.particleMesh = new THREE.Points(geometry, material);
+        this.particleMesh.frustumCulled = false; // Bounds change every frame
+
+        // Same size attenuation as PointsMaterial: half the drawing-buffer height
+        const bufferSize = new THREE.Vector2();
+        this.particleMesh.onBeforeRender = (renderer) => {
+            material.uniforms.scale.value = renderer.getDrawingBufferSize(bufferSize).y / 2;
+        };
+
         this.scene.add(this.particleMesh);
     }
 
@@ -146,165 +905,515 @@ export class FireworksSystem {
      * @param {number} deltaTime - Time since last frame (seconds)
      */
     update(deltaTime) {
-        if (!this.isAnimating || this.activeParticles.length === 0) {
+        if (!this.isAnimating) {
             return;
         }
 
-        const positions = this.particleMesh.geometry.attributes.position.array;
-        const colors = this.particleMesh.geometry.attributes.color.array;
-        const sizes = this.particleMesh.geometry.attributes.size.array;
+        this.updateWind(deltaTime);
+        if (this.trails) {
+            this.trails.begin();
+        }
 
-        let activeCount = 0;
+        // Bursts append new particles while we iterate; they start moving this frame
+        for (let k = 0; k < this.activeCount; k++) {
+            const i = this.activeList[k];
+            if (this.phase[i] === PHASE.INACTIVE) continue;
 
-        this.activeParticles.forEach((particle, index) => {
-            if (!particle.isActive) return;
+            this.life[i] += deltaTime;
+            if (this.life[i] < 0) {
+                this.alphas[i] = 0; // Delayed start
+                continue;
+            }
 
-            particle.life += deltaTime;
-            const lifeRatio = Math.min(particle.life / particle.maxLife, 1);
+            const lifeRatio = Math.min(this.life[i] / this.maxLife[i], 1);
 
             // Phase-based behavior
-            switch (particle.phase) {
-                case 'launch':
-                    this.updateLaunchPhase(particle, lifeRatio, deltaTime);
+            switch (this.phase[i]) {
+                case PHASE.LAUNCH:
+                    this.updateLaunchPhase(i, lifeRatio, deltaTime);
+                    break;
+                case PHASE.SHELL:
+                    this.updateShellPhase(i, lifeRatio, deltaTime);
                     break;
-                case 'explode':
-                    this.updateExplodePhase(particle, lifeRatio, deltaTime);
+                case PHASE.WAITING:
+                    this.updateWaitingPhase(i, lifeRatio);
                     break;
-                case 'fade':
-                    this.updateFadePhase(particle, lifeRatio, deltaTime);
+                case PHASE.CONVERGE:
+                    this.updateConvergePhase(i, lifeRatio, deltaTime);
+                    break;
+                case PHASE.EXPLODE:
+                    this.updateExplodePhase(i, lifeRatio);
+                    break;
+                case PHASE.FADE:
+                    this.updateFadePhase(i, lifeRatio, deltaTime);
+                    break;
+                case PHASE.STAR:
+                    this.updateStarPhase(i, lifeRatio, deltaTime);
+                    break;
+                case PHASE.SPARK:
+                    this.updateSparkPhase(i, lifeRatio, deltaTime);
+                    break;
+                case PHASE.MORPH:
+                    this.updateMorphPhase(i, lifeRatio, deltaTime);
                     break;
             }
 
-            // Update buffer arrays
-            const i3 = index * 3;
-            positions[i3] = particle.position.x;
-            positions[i3 + 1] = particle.position.y;
-            positions[i3 + 2] = particle.position.z;
-
-            colors[i3] = particle.color.r;
-            colors[i3 + 1] = particle.color.g;
-            colors[i3 + 2] = particle.color.b;
+            if (this.phase[i] === PHASE.INACTIVE) {
+                this.alphas[i] = 0;
+                continue;
+            }
 
             // Apply atmospheric perspective - particles further back (negative z) are dimmer
-            const depthFactor = particle.targetZ ? Math.max(0.6, 1 - (Math.abs(particle.targetZ) / 50)) : 1;
-            const finalAlpha = particle.alpha * depthFactor;
+            const targetZ = this.targetZ[i];
+            const depthFactor = targetZ ? Math.max(0.6, 1 - (Math.abs(targetZ) / 50)) : 1;
+            this.alphas[i] = this.alpha[i] * depthFactor;
 
-            sizes[index] = particle.size * finalAlpha;
+            if (this.trails) {
+                const phase = this.phase[i];
+                if (TRAIL_PHASES[phase]) {
+                    // Shells are few and the streak is the point of them, so never thin them
+                    this.trails.trace(i, this.positions, this.colors, this.alphas[i], deltaTime, phase === PHASE.SHELL);
+                } else {
+                    this.trails.clear(i);
+                }
+            }
+        }
 
-            if (particle.isActive) activeCount++;
-        });
+        // Return finished particles to the pool
+        this.compactActiveList();
+        this.updateShows(deltaTime);
 
         // Update geometry
-        this.particleMesh.geometry.attributes.position.needsUpdate = true;
-        this.particleMesh.geometry.attributes.color.needsUpdate = true;
-        this.particleMesh.geometry.attributes.size.needsUpdate = true;
-        this.particleMesh.material.opacity = 0.9;
+        const geometry = this.particleMesh.geometry;
+        geometry.setDrawRange(0, this.drawCount);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        geometry.attributes.size.needsUpdate = true;
+        geometry.attributes.alpha.needsUpdate = true;
+        if (this.trails) {
+            this.trails.end();
+        }
 
         // Check if animation is complete
-        if (activeCount === 0) {
+        if (this.activeCount === 0 && this.shows.length === 0) {
             this.isAnimating = false;
             console.log('✅ Fireworks animation complete');
         }
     }
 
+    /**
+     * Ease the gust towards a new random target every few seconds
+     */
+    updateWind(deltaTime) {
+        const wind = CONFIG.FIREWORKS.WIND;
+
+        this.gustTimer -= deltaTime;
+        if (this.gustTimer <= 0) {
+            this.gustTimer = wind.GUST_INTERVAL * this.random.range(0.5, 1.5);
+            // Gusts blow mostly along the base wind, with some crosswind
+            this.gustTarget.set(this.random.spread(2), 0, this.random.spread(1)).multiplyScalar(wind.GUST);
+        }
+
+        const ease = wind.GUST_RAMP > 0 ? Math.min(deltaTime / wind.GUST_RAMP, 1) : 1;
+        this.gust.lerp(this.gustTarget, ease);
+        this.wind.set(wind.X, 0, wind.Z).add(this.gust);
+    }
+
+    /**
+     * Carry a point along with the wind
+     * @param {Float32Array} array - positions (or origins / targets of a rising shell)
+     */
+    applyWind(array, i3, deltaTime) {
+        array[i3] += this.wind.x * deltaTime;
+        array[i3 + 2] += this.wind.z * deltaTime;
+    }
+
+    /**
+     * Advance show progress and complete shows whose particles are all gone
+     */
+    updateShows(deltaTime) {
+        for (let s = 0; s < this.shows.length; s++) {
+            const show = this.shows[s];
+            show.update(deltaTime);
+
+            if (show.liveParticles === 0) {
+                this.shows.splice(s--, 1);
+                console.log(`✅ Show #${show.id} complete`);
+                show.complete();
+            }
+        }
+    }
+
+    /**
+     * Stop a show immediately and return its particles to the pool
+     * @param {FireworksShow} show
+     */
+    cancelShow(show) {
+        const index = this.shows.indexOf(show);
+        if (index === -1) return;
+
+        this.shows.splice(index, 1);
+        this.compactActiveList(show);
+        show.complete(true);
+    }
+
     /**
      * Update particle during launch phase (rising to target)
      */
-    updateLaunchPhase(particle, lifeRatio, deltaTime) {
+    updateLaunchPhase(i, lifeRatio, deltaTime) {
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        const target = this.targets;
+
         if (lifeRatio >= 1) {
             // Transition to explode phase
-            particle.phase = 'explode';
-            particle.life = 0;
-            particle.maxLife = 0.3; // Quick explosion
-            particle.position.copy(particle.target);
-            
-            // Skip explosion burst - just flash in place
-            // this.createExplosion(particle);
+            this.phase[i] = PHASE.EXPLODE;
+            this.life[i] = 0;
+            this.maxLife[i] = 0.3; // Quick explosion
+            this.setVector(p, i, target[i3], target[i3 + 1], target[i3 + 2]);
+            this.emit('arrive', target[i3], target[i3 + 1], target[i3 + 2]);
             return;
         }
 
         // Move towards target with easing
+        const t = this.easeOutCubic(lifeRatio) * 0.1;
+        for (let a = i3; a < i3 + 3; a++) {
+            const previous = p[a] - v[a] * deltaTime;
+            p[a] = previous + (target[a] - previous) * t;
+        }
+
+        // Apply velocity with slight gravity (the easing above keeps it on course)
+        v[i3 + 1] -= CONFIG.FIREWORKS.LAUNCH_GRAVITY * deltaTime;
+        for (let a = i3; a < i3 + 3; a++) {
+            p[a] += v[a] * deltaTime;
+        }
+        this.applyWind(p, i3, deltaTime);
+    }
+
+    /**
+     * Update a rising shell; it bursts when it reaches its target
+     */
+    updateShellPhase(i, lifeRatio, deltaTime) {
+        const i3 = i * 3;
+        const p = this.positions;
+        const target = this.targets;
+
+        if (lifeRatio >= 1) {
+            this.phase[i] = PHASE.INACTIVE;
+            this.emit('burst', target[i3], target[i3 + 1], target[i3 + 2], SHELL_NAMES[this.shellIndex[i]]);
+            this.burstAt(this.shellIndex[i], target[i3], target[i3 + 1], target[i3 + 2],
+                this.burstColor[i], this.starScale[i], this.particleShows[i], this.burstScale[i]);
+            return;
+        }
+
+        if (!this.started[i]) {
+            this.started[i] = 1;
+            this.emit('launch', this.origins[i3], this.origins[i3 + 1], this.origins[i3 + 2]);
+        }
+
+        // The wind carries the whole climb, so the burst happens downwind
+        const origin = this.origins;
+        this.applyWind(origin, i3, deltaTime);
+        this.applyWind(target, i3, deltaTime);
+
+        // Decelerating climb with a slight wobble, like a real shell
         const t = this.easeOutCubic(lifeRatio);
-        particle.position.lerpVectors(
-            particle.position.clone().sub(particle.velocity.clone().multiplyScalar(deltaTime)),
-            particle.target,
-            t * 0.1
-        );
+        const previousX = p[i3];
+        const previousY = p[i3 + 1];
+        p[i3] = origin[i3] + (target[i3] - origin[i3]) * t + Math.sin(this.life[i] * 20) * 1.5;
+        p[i3 + 1] = origin[i3 + 1] + (target[i3 + 1] - origin[i3 + 1]) * t;
+        p[i3 + 2] = origin[i3 + 2] + (target[i3 + 2] - origin[i3 + 2]) * t;
+        if (deltaTime > 0) {
+            this.setVector(this.velocities, i, (p[i3] - previousX) / deltaTime, (p[i3 + 1] - previousY) / deltaTime, 0);
+        }
+
+        this.alpha[i] = this.random.range(0.6, 1);
+        this.emitTrail(i, CONFIG.FIREWORKS.SHELL_TRAIL, deltaTime);
+    }
+
+    /**
+     * Text particle hidden inside its shell until the shell bursts
+     */
+    updateWaitingPhase(i, lifeRatio) {
+        if (lifeRatio < 1) return;
+
+        // Burst outwards (filled sphere, so the text grows out of the burst)
+        const speed = SHELL_LIST[this.shellIndex[i]].speed * this.burstScale[i] * this.random.range(0.3, 1);
+        const direction = this.random.direction(this.tmpDirection);
+        this.phase[i] = PHASE.CONVERGE;
+        this.life[i] = 0;
+        this.maxLife[i] = CONFIG.FIREWORKS.CONVERGE_TIME;
+        this.alpha[i] = 1;
+        this.setVector(this.velocities, i, direction.x * speed, direction.y * speed, direction.z * speed);
+    }
+
+    /**
+     * Text particle flying out of the burst and settling into its target
+     */
+    updateConvergePhase(i, lifeRatio, deltaTime) {
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        const target = this.targets;
+        const fade = this.fadeColors;
+
+        if (lifeRatio >= 1) {
+            this.settle(i);
+            return;
+        }
 
-        // Apply velocity with slight gravity
-        particle.velocity.y -= 9.8 * deltaTime * 0.5;
-        particle.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
+        // Burst motion, increasingly pulled onto the target
+        const shell = SHELL_LIST[this.shellIndex[i]];
+        const drag = Math.pow(shell.drag, deltaTime);
+        v[i3 + 1] -= shell.gravity * deltaTime / drag;
+
+        const t = this.easeInOutCubic(lifeRatio);
+        const base = this.baseColors;
+        const color = this.colors;
+        for (let a = i3; a < i3 + 3; a++) {
+            v[a] *= drag;
+            p[a] += v[a] * deltaTime;
+            p[a] += (target[a] - p[a]) * t;
+            color[a] = base[a] + (fade[a] - base[a]) * t;
+        }
+        this.applyWind(p, i3, deltaTime * (1 - t));
+    }
+
+    /**
+     * Text particle flowing from its old phrase onto the new one
+     */
+    updateMorphPhase(i, lifeRatio, deltaTime) {
+        if (lifeRatio >= 1) {
+            this.settle(i);
+            return;
+        }
+
+        // Eased glide along a gentle arc, blending into the new colour
+        const i3 = i * 3;
+        const p = this.positions;
+        const origin = this.origins;
+        const target = this.targets;
+        const color = this.colors;
+        const base = this.baseColors;
+        const fade = this.fadeColors;
+        const t = this.easeInOutCubic(lifeRatio);
+        for (let a = i3; a < i3 + 3; a++) {
+            p[a] = origin[a] + (target[a] - origin[a]) * t;
+            color[a] = base[a] + (fade[a] - base[a]) * t;
+        }
+        p[i3 + 1] += Math.sin(lifeRatio * Math.PI) * CONFIG.FIREWORKS.MORPH_ARC;
+
+        this.alpha[i] = Math.min(1, this.alpha[i] + deltaTime * 3);
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE;
+    }
+
+    /**
+     * Text particle reached its point: snap onto it and flash
+     */
+    settle(i) {
+        const i3 = i * 3;
+        const target = this.targets;
+        const fade = this.fadeColors;
+
+        this.phase[i] = PHASE.EXPLODE;
+        this.life[i] = 0;
+        this.maxLife[i] = 0.3;
+        this.setVector(this.positions, i, target[i3], target[i3 + 1], target[i3 + 2]);
+        this.setVector(this.velocities, i, 0, 0, 0);
+        this.setVector(this.colors, i, fade[i3], fade[i3 + 1], fade[i3 + 2]);
+        this.emit('arrive', target[i3], target[i3 + 1], target[i3 + 2]);
     }
 
     /**
      * Update particle during explosion phase
      */
-    updateExplodePhase(particle, lifeRatio, deltaTime) {
+    updateExplodePhase(i, lifeRatio) {
         if (lifeRatio >= 1) {
-            particle.phase = 'fade';
-            particle.life = 0;
-            particle.maxLife = CONFIG.FIREWORKS.FADE_TIME;
+            this.phase[i] = PHASE.FADE;
+            this.life[i] = 0;
+            this.maxLife[i] = CONFIG.FIREWORKS.FADE_TIME;
             return;
         }
 
         // Quick bright flash
-        particle.size = CONFIG.FIREWORKS.PARTICLE_SIZE * (1 + Math.sin(lifeRatio * Math.PI) * 2);
-        particle.alpha = 1;
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * (1 + Math.sin(lifeRatio * Math.PI) * 2);
+        this.alpha[i] = 1;
     }
 
     /**
      * Update particle during fade phase
      */
-    updateFadePhase(particle, lifeRatio, deltaTime) {
+    updateFadePhase(i, lifeRatio, deltaTime) {
         if (lifeRatio >= 1) {
-            particle.isActive = false;
-            particle.alpha = 0;
+            this.phase[i] = PHASE.INACTIVE;
+            this.alpha[i] = 0;
             return;
         }
 
         // Fade and fall
-        particle.alpha = 1 - lifeRatio;
-        particle.velocity.y -= 9.8 * deltaTime * CONFIG.FIREWORKS.GRAVITY;
-        particle.velocity.multiplyScalar(CONFIG.FIREWORKS.DRAG);
-        particle.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
-        particle.size = CONFIG.FIREWORKS.PARTICLE_SIZE * (1 - lifeRatio * 0.5);
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        this.alpha[i] = 1 - lifeRatio;
+        v[i3 + 1] -= 9.8 * deltaTime * CONFIG.FIREWORKS.GRAVITY;
+        for (let a = i3; a < i3 + 3; a++) {
+            v[a] *= CONFIG.FIREWORKS.DRAG;
+            p[a] += v[a] * deltaTime;
+        }
+        this.applyWind(p, i3, deltaTime);
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * (1 - lifeRatio * 0.5);
     }
 
     /**
-     * Create explosion particles at target point
+     * Update a burst star using its shell's physics and colour
      */
-    createExplosion(centerParticle) {
-        const explosionCount = CONFIG.FIREWORKS.EXPLOSION_PARTICLES;
-        const explosionSize = CONFIG.FIREWORKS.EXPLOSION_SIZE;
+    updateStarPhase(i, lifeRatio, deltaTime) {
+        const shell = SHELL_LIST[this.shellIndex[i]];
 
-        for (let i = 0; i < explosionCount; i++) {
-            const particle = this.getParticleFromPool();
-            if (!particle) break;
+        if (lifeRatio >= 1) {
+            this.phase[i] = PHASE.INACTIVE;
+            this.endStar(i);
+            return;
+        }
 
-            // Random direction
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const speed = Math.random() * 3 + 2;
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        const color = this.colors;
+        const base = this.baseColors;
+        const fade = this.fadeColors;
+        const drag = Math.pow(shell.drag, deltaTime);
 
-            particle.position.copy(centerParticle.position);
-            particle.velocity.set(
-                Math.sin(phi) * Math.cos(theta) * speed,
-                Math.sin(phi) * Math.sin(theta) * speed,
-                Math.cos(phi) * speed
-            );
+        v[i3 + 1] -= shell.gravity * deltaTime / drag;
+        for (let a = i3; a < i3 + 3; a++) {
+            v[a] *= drag;
+            p[a] += v[a] * deltaTime;
+            color[a] = base[a] + (fade[a] - base[a]) * lifeRatio;
+        }
+        this.applyWind(p, i3, deltaTime);
 
-            particle.color.copy(centerParticle.color);
-            particle.life = 0;
-            particle.maxLife = CONFIG.FIREWORKS.FADE_TIME;
-            particle.phase = 'fade';
-            particle.alpha = 1;
-            particle.isActive = true;
-            particle.size = CONFIG.FIREWORKS.PARTICLE_SIZE * 0.7;
+        this.alpha[i] = 1 - Math.pow(lifeRatio, shell.fadePower);
+        this.sizes[i] = CONFIG.FIREWORKS.PARTICLE_SIZE * shell.size * (1 - lifeRatio * 0.4);
 
-            this.activeParticles.push(particle);
+        if (shell.trail) {
+            this.emitTrail(i, shell.trail, deltaTime);
         }
     }
 
+    /**
+     * A star burned out: split (crossette) or crackle if its shell says so
+     */
+    endStar(i) {
+        const shellIndex = this.shellIndex[i];
+        const shell = SHELL_LIST[shellIndex];
+        const show = this.particleShows[i];
+        const i3 = i * 3;
+        const x = this.positions[i3];
+        const y = this.positions[i3 + 1];
+        const z = this.positions[i3 + 2];
+
+        if (shell.split && this.generation[i] === 0) {
+            // Four stars in a cross, perpendicular to the direction of travel
+            const forward = this.tmpW.fromArray(this.velocities, i3).normalize();
+            const side = this.tmpU.set(0, 1, 0).cross(forward);
+            if (side.lengthSq() < 0.01) side.set(1, 0, 0);
+            side.normalize();
+            const up = this.tmpV.crossVectors(forward, side);
+            const base = this.baseColors;
+            const color = this.tmpColor.setRGB(base[i3], base[i3 + 1], base[i3 + 2]).getHex();
+            const direction = this.tmpDirection;
+            this.emit('split', x, y, z, SHELL_NAMES[shellIndex]);
+
+            for (let k = 0; k < shell.split.stars; k++) {
+                const sign = k % 2 === 0 ? 1 : -1;
+                direction.copy(k % 4 < 2 ? side : up).multiplyScalar(sign);
+                this.spawnStar(shellIndex, x, y, z, direction, shell.split.speed, color, shell.split.life, 1, show);
+            }
+        }
+
+        if (shell.crackle) {
+            const direction = this.tmpDirection;
+            this.emit('crackle', x, y, z, SHELL_NAMES[shellIndex]);
+            for (let k = 0; k < shell.crackle.pops; k++) {
+                const speed = this.random.range(20, 60);
+                this.random.direction(direction);
+                this.spawnSpark(x, y, z, direction.x * speed, direction.y * speed, direction.z * speed,
+                    1, 1, 1, shell.crackle.life * this.random.range(0.5, 1.5), 1.2, true, show);
+            }
+        }
+    }
+
+    /**
+     * Update a trail / crackle spark
+     */
+    updateSparkPhase(i, lifeRatio, deltaTime) {
+        if (lifeRatio >= 1) {
+            this.phase[i] = PHASE.INACTIVE;
+            return;
+        }
+
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        const drag = Math.pow(0.2, deltaTime);
+
+        v[i3 + 1] -= 20 * deltaTime / drag;
+        for (let a = i3; a < i3 + 3; a++) {
+            v[a] *= drag;
+            p[a] += v[a] * deltaTime;
+        }
+        this.applyWind(p, i3, deltaTime);
+
+        this.alpha[i] = 1 - lifeRatio;
+        if (this.flicker[i]) {
+            this.alpha[i] *= this.random.next() < 0.5 ? 0.2 : 1;
+        }
+    }
+
+    /**
+     * Leave sparks behind a moving particle
+     * @param {number} i - Emitting particle
+     * @param {Object} trail - { interval, life, size, color (null = particle colour) }
+     */
+    emitTrail(i, trail, deltaTime) {
+        this.trailTimer[i] += deltaTime;
+        if (this.trailTimer[i] < trail.interval) return;
+
+        const i3 = i * 3;
+        const p = this.positions;
+        const v = this.velocities;
+        let r = this.colors[i3];
+        let g = this.colors[i3 + 1];
+        let b = this.colors[i3 + 2];
+        if (trail.color !== null) {
+            this.tmpColor.setHex(trail.color);
+            r = this.tmpColor.r;
+            g = this.tmpColor.g;
+            b = this.tmpColor.b;
+        }
+
+        while (this.trailTimer[i] >= trail.interval) {
+            this.trailTimer[i] -= trail.interval;
+            this.spawnSpark(p[i3], p[i3 + 1], p[i3 + 2], v[i3] * 0.1, v[i3 + 1] * 0.1, v[i3 + 2] * 0.1,
+                r, g, b, trail.life, trail.size, false, this.particleShows[i]);
+        }
+    }
+
+    /**
+     * Bounding box of target points
+     */
+    getBounds(points) {
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        points.forEach(point => {
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        });
+        return bounds;
+    }
+
     /**
      * Easing function for smooth animation
      */
@@ -312,16 +1421,29 @@ export class FireworksSystem {
         return 1 - Math.pow(1 - t, 3);
     }
 
+    easeInOutCubic(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+
     /**
      * Reset system
      */
     reset() {
         this.isAnimating = false;
-        this.activeParticles.forEach(p => {
-            p.isActive = false;
-            p.alpha = 0;
-        });
-        this.activeParticles = [];
+        for (let k = 0; k < this.activeCount; k++) {
+            this.release(this.activeList[k]);
+        }
+        this.activeCount = 0;
+        this.resetFreeList();
+        this.drawCount = 0;
+        this.particleMesh.geometry.setDrawRange(0, 0);
+        if (this.trails) {
+            this.trails.reset();
+        }
+
+        const shows = this.shows;
+        this.shows = [];
+        shows.forEach(show => show.complete(true));
     }
 
     /**
@@ -340,7 +1462,11 @@ export class FireworksSystem {
             this.particleMesh.geometry.dispose();
             this.particleMesh.material.dispose();
         }
-        this.particlePool = [];
-        this.activeParticles = [];
+        if (this.trails) {
+            this.trails.dispose();
+        }
+        this.activeCount = 0;
+        this.freeCount = 0;
+        this.shows = [];
     }
 }
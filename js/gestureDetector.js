@@ -4,33 +4,75 @@
  */
 
 import { CONFIG } from './config.js';
+import { GestureRegistry } from './gestureRegistry.js';
+import { MotionAnalyzer } from './motionAnalyzer.js';
+import { GestureProfiles } from './gestureProfiles.js';
+import { LandmarkSmoother } from './landmarkSmoother.js';
+import { CameraStream } from './cameraStream.js';
 
 export class GestureDetector {
-    constructor() {
+    /**
+     * @param {GestureProfiles} [profiles] - Saved calibration profiles (shared with CalibrationWizard)
+     */
+    constructor(profiles = new GestureProfiles()) {
         this.hands = null;
         this.camera = null;
         this.videoElement = null;
         this.canvasElement = null;
         this.canvasCtx = null;
         
-        // Gesture state
-        this.currentState = 'UNKNOWN';
-        this.previousState = 'UNKNOWN';
-        this.lastTriggerTime = 0;
-        
-        // Finger counting state
-        this.currentFingerCount = 0;
-        this.previousFingerCount = 0;
-        this.lastFingerCountChangeTime = 0;
+        // Per-hand gesture state, keyed by MediaPipe handedness ('Left' / 'Right')
+        this.handStates = new Map();
+        this.landmarkSmoothers = new Map(); // hand → LandmarkSmoother (One Euro filter)
         this.fingerCountDebounceMs = 500; // Debounce time for finger count changes
+        this.frameAspect = 4 / 3;         // Camera width / height, used to un-stretch landmarks
+        this.clockOffset = 0;             // Frame timestamps minus Date.now() (non-zero in replays)
+        this.mirror = CONFIG.CAMERA.MIRROR; // User-facing camera: left/right as seen in the mirrored preview
+        
+        // Classification thresholds: CONFIG.GESTURE plus the active calibration profile
+        this.profiles = profiles;
+        this.thresholds = null;
+        this.applyThresholds(profiles.getActiveThresholds());
+        
+        // Set false to keep tracking (onHandFrame) without firing any gesture events
+        this.eventsEnabled = true;
         
         // Callbacks
-        this.onGestureTrigger = null;
+        // Every callback receives the hand label as its last argument
+        this.onGestureTrigger = null;    // (palm {x, y, size}, hand)
         this.onStateChange = null;
         this.onFingerCountChange = null; // New callback for finger count changes
         this.onFistGesture = null; // Callback for fist gesture (can be used for confirmation)
+        this.onHandFrame = null; // Raw landmarks for every tracked hand, every frame
+        this.onCameraMissing = null; // (deviceId) Saved camera not found; the default one opened instead
+        
+        // Declarative custom gestures (subscribe with detector.on(name, callback))
+        this.gestureRegistry = new GestureRegistry(CONFIG.CUSTOM_GESTURES);
+        
+        // Swipes and waves are published through the registry too, so they
+        // can be subscribed to by name like any other gesture
+        this.motionAnalyzer = new MotionAnalyzer();
+        this.motionAnalyzer.onMotion = (name, hand, timestamp) => this.gestureRegistry.emit(name, hand, timestamp);
+        
+        // Optional LandmarkRecorder that captures every processed frame
+        this.recorder = null;
+        
+        // Folder holding hands.js and its model / wasm files (see AssetLoader)
+        this.handsBaseUrl = `${CONFIG.ASSETS.BASE_PATH}/mediapipe/hands`;
+        
+        // Camera device / resolution / frame rate (see CameraSettings)
+        this.cameraSettings = {
+            deviceId: CONFIG.CAMERA.DEVICE_ID,
+            width: CONFIG.CAMERA.WIDTH,
+            height: CONFIG.CAMERA.HEIGHT,
+            frameRate: CONFIG.CAMERA.FRAME_RATE
+        };
+        
+        // Counters for the debug HUD
+        this.stats = { results: 0, inferenceMs: 0 };
         
         this.isReady = false;
+        this.initError = null;
     }
 
     /**
@@ -38,118 +80,436 @@ export class GestureDetector {
      */
     async init() {
     try {
+        // Release anything left over from a failed attempt (retry)
+        this.dispose();
+
         // Get video element
         this.videoElement = document.getElementById('webcam');
         this.canvasElement = document.getElementById('gesture-canvas');
         this.canvasCtx = this.canvasElement.getContext('2d');
 
-        // Most cameras (mobile and desktop) output at 4:3 aspect ratio
-        // Use standard 640×480 for consistent display
-        const videoWidth = 640;
-        const videoHeight = 480;
+        // Initialize MediaPipe Hands (model and wasm files load from the same
+        // folder as hands.js - local vendor copy first, then the CDN)
+        await this.createHands();
 
-        // Configure canvas to match video aspect ratio
-        this.canvasElement.width = videoWidth;
-        this.canvasElement.height = videoHeight;
+        // Open the chosen camera and feed every frame to MediaPipe
+        this.camera = new CameraStream(this.videoElement, async () => {
+            const start = performance.now();
+            await this.hands.send({ image: this.videoElement });
+            this.stats.inferenceMs = performance.now() - start;
+        });
+        this.camera.onDeviceMissing = (deviceId) => {
+            this.cameraSettings = { ...this.cameraSettings, deviceId: null };
+            if (this.onCameraMissing) {
+                this.onCameraMissing(deviceId);
+            }
+        };
+        await this.startCamera();
+        this.isReady = true;
+
+        if (CONFIG.DEBUG.LOG_GESTURES) {
+            console.log(`✅ GestureDetector initialized (${this.camera.width}×${this.camera.height})`);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to initialize GestureDetector:', error);
+        this.initError = error;
+        return false;
+    }
+}
 
-        // Initialize MediaPipe Hands
-        this.hands = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+    /**
+     * Start the camera with the current settings and size the canvas to match
+     */
+    async startCamera() {
+        await this.camera.start(this.cameraSettings);
+        if (!this.camera.stream) return; // Superseded by a newer switch
+
+        // Configure canvas to match the resolution the camera actually gave us
+        this.canvasElement.width = this.camera.width;
+        this.canvasElement.height = this.camera.height;
+        this.canvasElement.style.aspectRatio = `${this.camera.width} / ${this.camera.height}`;
+        this.frameAspect = this.camera.width / this.camera.height;
+    }
+
+    /**
+     * Switch camera device / resolution / frame rate without reloading
+     * @param {Object} settings - { deviceId, width, height, frameRate }
+     * @returns {Promise<boolean>} True if the new camera started
+     */
+    async switchCamera(settings) {
+        this.cameraSettings = { ...this.cameraSettings, ...settings };
+        if (!this.camera) return false;
+
+        // Landmark history from the old camera doesn't carry over
+        this.landmarkSmoothers.clear();
+        this.handStates.forEach((handState, hand) => this.motionAnalyzer.clearHand(hand));
+
+        try {
+            await this.startCamera();
+            console.log(`📷 Camera switched (${this.camera.width}×${this.camera.height})`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to switch camera:', error);
+            this.initError = error;
+            return false;
+        }
+    }
+
+    /**
+     * Mirror left/right (palm position, swipe directions) for a user-facing camera
+     */
+    setMirror(mirror) {
+        this.mirror = mirror;
+        this.motionAnalyzer.mirror = mirror;
+    }
+
+    /**
+     * Create MediaPipe Hands and load its model files
+     * @throws {Error} Names the folder(s) the model files failed to load from
+     */
+    async createHands() {
+        const bases = [this.handsBaseUrl];
+        if (CONFIG.ASSETS.CDN_FALLBACK && !bases.includes(CONFIG.ASSETS.CDN.hands)) {
+            bases.push(CONFIG.ASSETS.CDN.hands);
+        }
+
+        const failures = [];
+        for (const base of bases) {
+            const hands = new Hands({
+                locateFile: (file) => `${base}/${file}`
+            });
+
+            hands.setOptions({
+                maxNumHands: CONFIG.MEDIAPIPE.MAX_NUM_HANDS,
+                modelComplexity: CONFIG.MEDIAPIPE.MODEL_COMPLEXITY,
+                minDetectionConfidence: CONFIG.MEDIAPIPE.MIN_DETECTION_CONFIDENCE,
+                minTrackingConfidence: CONFIG.MEDIAPIPE.MIN_TRACKING_CONFIDENCE
+            });
+
+            try {
+                await hands.initialize();
+            } catch (error) {
+                console.warn(`⚠️ MediaPipe model files failed to load from ${base}:`, error);
+                failures.push(base);
+                hands.close();
+                continue;
             }
-        });
 
-        this.hands.setOptions({
-            maxNumHands: CONFIG.MEDIAPIPE.MAX_NUM_HANDS,
-            modelComplexity: CONFIG.MEDIAPIPE.MODEL_COMPLEXITY,
-            minDetectionConfidence: CONFIG.MEDIAPIPE.MIN_DETECTION_CONFIDENCE,
-            minTrackingConfidence: CONFIG.MEDIAPIPE.MIN_TRACKING_CONFIDENCE
-        });
+            // Set up results callback
+            hands.onResults((results) => this.onResults(results));
+            this.hands = hands;
+            return;
+        }
 
-        // Set up results callback
-        this.hands.onResults((results) => this.onResults(results));
+        throw new Error(`Could not load MediaPipe hand model files (tried ${failures.join(', ')})`);
+    }
 
-        // Initialize camera with matching dimensions
-        this.camera = new Camera(this.videoElement, {
-            onFrame: async () => {
-                await this.hands.send({ image: this.videoElement });
-            },
-            width: videoWidth,
-            height: videoHeight
+    /**
+     * Create a fresh gesture state machine for one hand
+     */
+    createHandState() {
+        return {
+            handedness: null,       // MediaPipe label ('Left' / 'Right' / 'Hand')
+            wrist: null,            // Last raw wrist position, for matching the hand next frame
+            lastSeen: -Infinity,    // Frame time the hand was last detected (ms)
+            currentState: 'UNKNOWN',
+            previousState: 'UNKNOWN',
+            lastTriggerTime: -Infinity,
+            currentFingerCount: 0,
+            previousFingerCount: 0,
+            lastFingerCountChangeTime: -Infinity,
+
+            // Hysteresis: a new FIST/OPEN state must be seen for N frames and
+            // a minimum time before the hand actually switches to it
+            candidateState: 'UNKNOWN',
+            candidateFrames: 0,
+            candidateSince: 0,
+
+            // Same for finger counts, before the debounce is applied
+            candidateFingerCount: 0,
+            candidateFingerFrames: 0,
+
+            // Debug HUD
+            rawFingerCount: 0
+        };
+    }
+
+    /**
+     * Get (or lazily create) the state machine for a hand
+     * @param {string} hand - Hand label ('Left', 'Right', ...)
+     */
+    getHandState(hand) {
+        if (!this.handStates.has(hand)) {
+            this.handStates.set(hand, this.createHandState());
+        }
+        return this.handStates.get(hand);
+    }
+
+    /**
+     * Which of the user's hands a detected hand is ('Hand' if unknown)
+     * MediaPipe labels hands as if the image were mirrored (selfie mode), but
+     * the raw video is sent, so its 'Left' is the user's right hand and vice versa
+     */
+    getHandedness(multiHandedness, index) {
+        const classification = multiHandedness && multiHandedness[index];
+        const label = classification && classification.label;
+        if (label === 'Left') return 'Right';
+        if (label === 'Right') return 'Left';
+        return 'Hand';
+    }
+
+    /**
+     * Match this frame's hands to known hand labels
+     * MediaPipe's result order isn't stable, so each hand takes the known hand
+     * of the same handedness whose wrist was nearest, closest pairs first.
+     * Hands left over get their handedness as a label, or a numbered one
+     * ('Right-1') when two people show the same hand, so states never collide
+     * @param {Array} multiHandLandmarks - MediaPipe landmarks per hand
+     * @param {Array} multiHandedness - MediaPipe handedness classifications
+     * @returns {Array<string>} Label for each hand, in result order
+     */
+    assignHandLabels(multiHandLandmarks, multiHandedness) {
+        const labels = multiHandLandmarks.map(() => null);
+        const used = new Set();
+
+        const pairs = [];
+        multiHandLandmarks.forEach((landmarks, index) => {
+            const handedness = this.getHandedness(multiHandedness, index);
+            this.handStates.forEach((handState, hand) => {
+                if (handState.handedness !== handedness || !handState.wrist) return;
+                const distance = Math.hypot(landmarks[0].x - handState.wrist.x, landmarks[0].y - handState.wrist.y);
+                pairs.push({ index, hand, distance });
+            });
         });
+        pairs.sort((a, b) => a.distance - b.distance);
+        pairs.forEach(({ index, hand }) => {
+            if (labels[index] === null && !used.has(hand)) {
+                labels[index] = hand;
+                used.add(hand);
+            }
+        });
+
+        labels.forEach((label, index) => {
+            if (label !== null) return;
+            const handedness = this.getHandedness(multiHandedness, index);
+            let hand = handedness;
+            for (let n = 1; used.has(hand) || this.handStates.has(hand); n++) {
+                hand = `${handedness}-${n}`;
+            }
+            labels[index] = hand;
+            used.add(hand);
+        });
+        return labels;
+    }
 
-        await this.camera.start();
+    /**
+     * Initialize without webcam or MediaPipe, for feeding recorded landmarks
+     * through onResults (see LandmarkReplay)
+     * @param {number} [frameAspect] - Width / height of the recorded camera frames
+     */
+    initReplay(frameAspect = this.frameAspect) {
+        this.canvasElement = document.getElementById('gesture-canvas');
+        this.canvasCtx = this.canvasElement ? this.canvasElement.getContext('2d') : null;
+        this.frameAspect = frameAspect;
+        this.handStates.clear();
+        this.landmarkSmoothers.clear();
         this.isReady = true;
 
         if (CONFIG.DEBUG.LOG_GESTURES) {
-            console.log(`✅ GestureDetector initialized (${videoWidth}×${videoHeight})`);
+            console.log('✅ GestureDetector initialized in replay mode (no camera)');
         }
 
         return true;
-    } catch (error) {
-        console.error('❌ Failed to initialize GestureDetector:', error);
-        return false;
     }
-}
 
     /**
      * Process MediaPipe hand tracking results
+     * @param {Object} results - MediaPipe results; replayed frames carry a
+     *                           `timestamp` (ms) instead of a camera image
      */
     onResults(results) {
+        const now = results.timestamp !== undefined ? results.timestamp : Date.now();
+        this.clockOffset = now - Date.now();
+        this.stats.results++;
+
+        if (this.recorder) {
+            this.recorder.capture(results, now);
+        }
+
         // Clear canvas
-        this.canvasCtx.save();
-        this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
-        this.canvasCtx.drawImage(results.image, 0, 0, this.canvasElement.width, this.canvasElement.height);
+        if (this.canvasCtx) {
+            this.canvasCtx.save();
+            this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+            if (results.image) {
+                this.canvasCtx.drawImage(results.image, 0, 0, this.canvasElement.width, this.canvasElement.height);
+            }
+        }
 
-        // Check if hand is detected
+        const seenHands = new Set();
+
+        // Process every detected hand with its own state machine
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const handLandmarks = results.multiHandLandmarks[0];
-            
-            // Draw hand skeleton overlay
-            this.drawHandSkeleton(handLandmarks);
+            const labels = this.assignHandLabels(results.multiHandLandmarks, results.multiHandedness);
+            results.multiHandLandmarks.forEach((handLandmarks, index) => {
+                const hand = labels[index];
+                seenHands.add(hand);
 
-            // Count extended fingers
-            const extendedFingers = this.countExtendedFingers(handLandmarks);
-            
-            // Update finger count for scroll selection (1, 2, or 3 fingers)
-            this.updateFingerCount(extendedFingers);
-            
-            // Detect fist-to-open gesture for fireworks
-            const newState = extendedFingers >= CONFIG.GESTURE.FIST_THRESHOLD ? 'OPEN' : 'FIST';
-
-            // Update state
-            this.previousState = this.currentState;
-            this.currentState = newState;
-
-            // Detect FIST → OPEN transition
-            if (this.previousState === 'FIST' && this.currentState === 'OPEN') {
-                const now = Date.now();
-                const timeSinceLastTrigger = now - this.lastTriggerTime;
-
-                // Check cooldown
-                if (timeSinceLastTrigger > CONFIG.GESTURE.COOLDOWN_MS) {
-                    this.lastTriggerTime = now;
-                    this.triggerGesture();
-                }
+                const handState = this.getHandState(hand);
+                handState.handedness = this.getHandedness(results.multiHandedness, index);
+                handState.wrist = { x: handLandmarks[0].x, y: handLandmarks[0].y };
+                handState.lastSeen = now;
+
+                // Draw hand skeleton overlay
+                this.drawHandSkeleton(handLandmarks);
+
+                this.processHand(hand, this.smoothLandmarks(hand, handLandmarks, now), now);
+            });
+        }
+
+        // Hands that left the frame go back to UNKNOWN (cooldowns are kept), and
+        // are forgotten once gone for HAND_EXPIRE_MS so labels and wrists don't pile up
+        this.handStates.forEach((handState, hand) => {
+            if (!seenHands.has(hand) && now - handState.lastSeen > CONFIG.GESTURE.HAND_EXPIRE_MS) {
+                this.handStates.delete(hand);
+                this.landmarkSmoothers.delete(hand);
+                this.gestureRegistry.forgetHand(hand);
+                this.motionAnalyzer.forgetHand(hand);
+                return;
             }
-            
-            // Detect FIST gesture (can be used for confirmation)
-            if (this.currentState === 'FIST' && this.previousState !== 'FIST') {
-                if (this.onFistGesture) {
-                    this.onFistGesture();
+            if (!seenHands.has(hand)) {
+                const wasTracked = handState.currentState !== 'UNKNOWN';
+                handState.previousState = handState.currentState;
+                handState.currentState = 'UNKNOWN';
+                handState.currentFingerCount = 0;
+                handState.candidateState = 'UNKNOWN';
+                handState.candidateFrames = 0;
+                handState.candidateFingerFrames = 0;
+                if (this.landmarkSmoothers.has(hand)) {
+                    this.landmarkSmoothers.get(hand).reset();
+                }
+                this.gestureRegistry.clearHand(hand);
+                this.motionAnalyzer.clearHand(hand);
+
+                if (wasTracked && this.onStateChange) {
+                    this.onStateChange('UNKNOWN', hand);
                 }
             }
+        });
+
+        if (this.canvasCtx) {
+            this.canvasCtx.restore();
+        }
+    }
 
-            // Notify state change
-            if (this.onStateChange && this.previousState !== this.currentState) {
-                this.onStateChange(this.currentState);
+    /**
+     * Reduce landmark jitter with a per-hand One Euro filter
+     * @param {string} hand - Hand label
+     * @param {Array} handLandmarks - Raw landmarks
+     * @param {number} now - Frame time (ms)
+     * @returns {Array} Smoothed landmarks (or the raw ones if smoothing is off)
+     */
+    smoothLandmarks(hand, handLandmarks, now) {
+        if (!CONFIG.GESTURE.SMOOTHING_ENABLED) return handLandmarks;
+
+        if (!this.landmarkSmoothers.has(hand)) {
+            this.landmarkSmoothers.set(hand, new LandmarkSmoother());
+        }
+        return this.landmarkSmoothers.get(hand).smooth(handLandmarks, now);
+    }
+
+    /**
+     * Apply hysteresis to the raw FIST/OPEN reading
+     * The hand only switches state once the new reading has been consistent
+     * for STATE_CONFIRM_FRAMES frames and STATE_MIN_HOLD_MS milliseconds
+     * @param {Object} handState - Per-hand state
+     * @param {string} rawState - This frame's FIST/OPEN reading
+     * @param {number} now - Frame time (ms)
+     * @returns {string} Stable state
+     */
+    stabilizeState(handState, rawState, now) {
+        if (rawState !== handState.candidateState) {
+            handState.candidateState = rawState;
+            handState.candidateFrames = 0;
+            handState.candidateSince = now;
+        }
+        handState.candidateFrames++;
+
+        const confirmed = handState.candidateFrames >= CONFIG.GESTURE.STATE_CONFIRM_FRAMES &&
+                          now - handState.candidateSince >= CONFIG.GESTURE.STATE_MIN_HOLD_MS;
+
+        return confirmed ? rawState : handState.currentState;
+    }
+
+    /**
+     * Run gesture detection for a single hand
+     * @param {string} hand - Hand label
+     * @param {Array} handLandmarks - 21 MediaPipe landmarks for this hand
+     * @param {number} now - Frame time (ms)
+     */
+    processHand(hand, handLandmarks, now) {
+        const handState = this.getHandState(hand);
+
+        if (this.onHandFrame) {
+            this.onHandFrame(hand, handLandmarks, now);
+        }
+
+        // Events suspended (e.g. calibrating): forget the pose so resuming can't fire a stale transition
+        if (!this.eventsEnabled) {
+            handState.currentState = 'UNKNOWN';
+            return;
+        }
+
+        // Track movement for swipes and waves
+        this.motionAnalyzer.addFrame(hand, handLandmarks, now, this.frameAspect);
+
+        // Classify fingers and count the extended ones
+        const fingerStates = this.getFingerStates(handLandmarks);
+        const extendedFingers = Object.values(fingerStates).filter(Boolean).length;
+        handState.rawFingerCount = extendedFingers;
+
+        // Match custom gestures from the registry
+        this.gestureRegistry.update(hand, {
+            fingers: fingerStates,
+            fingerCount: extendedFingers,
+            pinch: this.isPinching(handLandmarks)
+        }, now);
+        
+        // Update finger count for scroll selection (1, 2, or 3 fingers),
+        // unless the hand is making an exclusive custom pose such as a thumbs-up
+        const countedFingers = this.gestureRegistry.isHoldingExclusive(hand) ? 0 : extendedFingers;
+        this.updateFingerCount(countedFingers, hand, now);
+        
+        // Detect fist-to-open gesture for fireworks
+        const rawState = extendedFingers >= this.thresholds.FIST_THRESHOLD ? 'OPEN' : 'FIST';
+
+        // Update state (only after the reading has been stable long enough)
+        handState.previousState = handState.currentState;
+        handState.currentState = this.stabilizeState(handState, rawState, now);
+
+        // Detect FIST → OPEN transition
+        if (handState.previousState === 'FIST' && handState.currentState === 'OPEN') {
+            const timeSinceLastTrigger = now - handState.lastTriggerTime;
+
+            // Check cooldown (per hand, so two users don't block each other)
+            if (timeSinceLastTrigger > CONFIG.GESTURE.COOLDOWN_MS) {
+                handState.lastTriggerTime = now;
+                this.triggerGesture(hand, this.getPalm(handLandmarks));
+            }
+        }
+        
+        // Detect FIST gesture (can be used for confirmation)
+        if (handState.currentState === 'FIST' && handState.previousState !== 'FIST') {
+            if (this.onFistGesture) {
+                this.onFistGesture(hand);
             }
-        } else {
-            this.currentState = 'UNKNOWN';
-            this.currentFingerCount = 0;
         }
 
-        this.canvasCtx.restore();
+        // Notify state change
+        if (this.onStateChange && handState.previousState !== handState.currentState) {
+            this.onStateChange(handState.currentState, hand);
+        }
     }
 
     /**
@@ -162,34 +522,49 @@ export class GestureDetector {
      *   * 1 finger → scrollIndex 0 (left scroll)
      *   * 2 fingers → scrollIndex 1 (center scroll)
      *   * 3 fingers → scrollIndex 2 (right scroll)
+     * - Count must be stable for FINGER_COUNT_CONFIRM_FRAMES frames
      * - Applies 500ms debounce to prevent repeated triggers
      * - Automatically confirms selection (no fist gesture needed)
+     * - Each hand is debounced independently
      * 
      * @param {number} fingerCount - Number of extended fingers (0-5)
+     * @param {string} hand - Hand label the count belongs to
+     * @param {number} [now] - Frame time (ms)
      */
-    updateFingerCount(fingerCount) {
+    updateFingerCount(fingerCount, hand, now = Date.now()) {
+        const handState = this.getHandState(hand);
+
         // Only care about 1, 2, or 3 fingers for scroll selection
         let validFingerCount = 0;
         if (fingerCount >= 1 && fingerCount <= 3) {
             validFingerCount = fingerCount;
         }
         
+        // Require a few consistent frames so single-frame flickers are ignored
+        if (validFingerCount !== handState.candidateFingerCount) {
+            handState.candidateFingerCount = validFingerCount;
+            handState.candidateFingerFrames = 0;
+        }
+        handState.candidateFingerFrames++;
+        if (handState.candidateFingerFrames < CONFIG.GESTURE.FINGER_COUNT_CONFIRM_FRAMES) {
+            return;
+        }
+        
         // Check if finger count changed
-        if (validFingerCount !== this.previousFingerCount) {
-            const now = Date.now();
-            const timeSinceLastChange = now - this.lastFingerCountChangeTime;
+        if (validFingerCount !== handState.previousFingerCount) {
+            const timeSinceLastChange = now - handState.lastFingerCountChangeTime;
             
             // Apply debounce - only trigger if enough time has passed
             if (timeSinceLastChange > this.fingerCountDebounceMs) {
-                this.previousFingerCount = validFingerCount;
-                this.currentFingerCount = validFingerCount;
-                this.lastFingerCountChangeTime = now;
+                handState.previousFingerCount = validFingerCount;
+                handState.currentFingerCount = validFingerCount;
+                handState.lastFingerCountChangeTime = now;
                 
                 // Notify callback if finger count is valid (1, 2, or 3)
                 if (validFingerCount > 0 && this.onFingerCountChange) {
                     const scrollIndex = validFingerCount - 1; // Convert 1,2,3 to 0,1,2
-                    console.log(`👆 ${validFingerCount} finger(s) detected → Auto-selecting Scroll ${scrollIndex + 1}`);
-                    this.onFingerCountChange(scrollIndex);
+                    console.log(`👆 ${validFingerCount} finger(s) detected (${hand} hand) → Auto-selecting Scroll ${scrollIndex + 1}`);
+                    this.onFingerCountChange(scrollIndex, hand);
                 }
             }
         }
@@ -199,6 +574,8 @@ export class GestureDetector {
      * Draw hand skeleton with landmarks and connections
      */
     drawHandSkeleton(landmarks) {
+        if (!this.canvasCtx) return;
+
         const ctx = this.canvasCtx;
         const width = this.canvasElement.width;
         const height = this.canvasElement.height;
@@ -253,76 +630,231 @@ export class GestureDetector {
 
     /**
      * Count how many fingers are extended
-     * Using fingertip vs. knuckle Y-coordinate comparison
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @returns {number} Number of extended fingers (0-5)
      */
     countExtendedFingers(landmarks) {
-        let extendedCount = 0;
-
-        // Finger indices: [tip, pip (middle joint), mcp (base joint)]
-        const fingers = [
-            [4, 3, 2],   // Thumb
-            [8, 6, 5],   // Index
-            [12, 10, 9], // Middle
-            [16, 14, 13], // Ring
-            [20, 18, 17]  // Pinky
-        ];
+        const fingerStates = this.getFingerStates(landmarks);
+        return Object.values(fingerStates).filter(Boolean).length;
+    }
 
-        // Get wrist position for reference
-        const wrist = landmarks[0];
+    /**
+     * Classify each finger as extended or curled
+     * Rotation-invariant: uses joint bend angles and distances normalised to
+     * palm size, so tilted, sideways or upside-down hands still classify correctly
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @returns {Object} { thumb, index, middle, ring, pinky } booleans
+     */
+    getFingerStates(landmarks) {
+        return this.classifyFingers(this.measureFingers(landmarks));
+    }
 
-        // Thumb: check horizontal extension (X-axis)
-        const thumbTip = landmarks[fingers[0][0]];
-        const thumbPip = landmarks[fingers[0][1]];
-        const thumbMcp = landmarks[fingers[0][2]];
-        
-        // Check if thumb tip is far from palm AND extended beyond middle joint
-        const thumbDistanceFromWrist = Math.sqrt(
-            Math.pow(thumbTip.x - wrist.x, 2) + 
-            Math.pow(thumbTip.y - wrist.y, 2)
-        );
-        const thumbExtended = Math.abs(thumbTip.x - thumbPip.x) > 0.05 && 
-                             thumbDistanceFromWrist > 0.12;
-        if (thumbExtended) extendedCount++;
-
-        // Other fingers: check vertical extension with balanced criteria
-        for (let i = 1; i < fingers.length; i++) {
-            const [tipIdx, pipIdx, mcpIdx] = fingers[i];
-            const tip = landmarks[tipIdx];
-            const pip = landmarks[pipIdx];
-            const mcp = landmarks[mcpIdx];
-            
-            // Finger is extended if:
-            // 1. Tip is above middle joint with moderate threshold
-            // 2. Tip is above base joint (confirms extension)
-            const tipAbovePip = tip.y < pip.y - 0.03; // Balanced threshold
-            const tipAboveMcp = tip.y < mcp.y - 0.01;
-            
-            if (tipAbovePip && tipAboveMcp) {
-                extendedCount++;
-            }
-        }
+    /**
+     * Classify measured fingers against a set of thresholds
+     * @param {Object} measurements - Output of measureFingers
+     * @param {Object} [thresholds] - Defaults to the detector's active thresholds
+     * @returns {Object} { thumb, index, middle, ring, pinky } booleans
+     */
+    classifyFingers(measurements, thresholds = this.thresholds) {
+        // Thumb: straight chain AND tip swung away from the palm
+        const fingerStates = {
+            thumb: measurements.thumb.bend < thresholds.THUMB_MAX_BEND_DEG &&
+                   measurements.thumb.spread > thresholds.THUMB_SPREAD_RATIO
+        };
+
+        // Other fingers: straight at PIP and DIP AND tip reaches well past the palm
+        ['index', 'middle', 'ring', 'pinky'].forEach(name => {
+            fingerStates[name] = measurements[name].bend < thresholds.FINGER_MAX_BEND_DEG &&
+                                 measurements[name].reach > thresholds.FINGER_REACH_RATIO;
+        });
 
-        return extendedCount;
+        return fingerStates;
+    }
+
+    /**
+     * Measure the rotation-invariant features each finger is classified by
+     * (also used by the calibration wizard to derive personal thresholds)
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @returns {Object} { thumb: {bend, spread}, index..pinky: {bend, reach}, pinchGap }
+     */
+    measureFingers(landmarks) {
+        const points = landmarks.map(landmark => this.toHandSpace(landmark));
+
+        // Finger chains: [mcp, pip, dip, tip] (thumb: [cmc, mcp, ip, tip])
+        const thumb = [1, 2, 3, 4];
+        const fingers = {
+            index: [5, 6, 7, 8],
+            middle: [9, 10, 11, 12],
+            ring: [13, 14, 15, 16],
+            pinky: [17, 18, 19, 20]
+        };
+
+        // Palm size (wrist → middle MCP) is the unit for every distance check
+        const wrist = points[0];
+        const palmSize = this.distance(wrist, points[9]) || 1;
+
+        // Thumb spread is measured across the palm (from the pinky MCP), which
+        // stays meaningful whatever way the hand is rotated
+        const palmWidth = this.distance(points[5], points[17]) || palmSize;
+        const measurements = {
+            thumb: {
+                bend: this.jointBend(points[thumb[0]], points[thumb[1]], points[thumb[2]]) +
+                      this.jointBend(points[thumb[1]], points[thumb[2]], points[thumb[3]]),
+                spread: this.distance(points[thumb[3]], points[17]) / palmWidth
+            },
+            pinchGap: this.distance(points[4], points[8]) / palmSize
+        };
+
+        Object.entries(fingers).forEach(([name, [mcpIdx, pipIdx, dipIdx, tipIdx]]) => {
+            measurements[name] = {
+                bend: this.jointBend(points[mcpIdx], points[pipIdx], points[dipIdx]) +
+                      this.jointBend(points[pipIdx], points[dipIdx], points[tipIdx]),
+                reach: this.distance(wrist, points[tipIdx]) / palmSize
+            };
+        });
+
+        return measurements;
+    }
+
+    /**
+     * Check whether thumb tip and index tip are pinched together
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     */
+    isPinching(landmarks) {
+        const wrist = this.toHandSpace(landmarks[0]);
+        const palmSize = this.distance(wrist, this.toHandSpace(landmarks[9])) || 1;
+        const gap = this.distance(this.toHandSpace(landmarks[4]), this.toHandSpace(landmarks[8]));
+
+        return gap / palmSize < this.thresholds.PINCH_RATIO;
+    }
+
+    /**
+     * Apply personal thresholds (e.g. from a calibration profile)
+     * Keys not in `thresholds` fall back to CONFIG.GESTURE
+     * @param {Object|null} thresholds - Partial CONFIG.GESTURE overrides, null for defaults
+     */
+    applyThresholds(thresholds) {
+        this.thresholds = { ...CONFIG.GESTURE, ...(thresholds || {}) };
+    }
+
+    /**
+     * Convert a normalised landmark into isotropic hand space
+     * MediaPipe normalises x by frame width and y by frame height (z uses the
+     * width scale), so x and z are stretched by the aspect ratio to make
+     * angles and distances independent of orientation
+     */
+    toHandSpace(landmark) {
+        return {
+            x: landmark.x * this.frameAspect,
+            y: landmark.y,
+            z: (landmark.z || 0) * this.frameAspect
+        };
+    }
+
+    /**
+     * Euclidean distance between two hand-space points
+     */
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    }
+
+    /**
+     * Bend angle at joint b for the chain a → b → c, in degrees
+     * 0° means the chain is perfectly straight
+     */
+    jointBend(a, b, c) {
+        const v1 = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+        const v2 = { x: c.x - b.x, y: c.y - b.y, z: c.z - b.z };
+        const length = Math.hypot(v1.x, v1.y, v1.z) * Math.hypot(v2.x, v2.y, v2.z);
+        if (length === 0) return 0;
+
+        const cos = (v1.x * v2.x + v1.y * v2.y + v1.z * v2.z) / length;
+        return Math.acos(Math.min(1, Math.max(-1, cos))) * 180 / Math.PI;
+    }
+
+    /**
+     * Where the palm is on screen and how big it looks
+     * x / y are 0-1 across the user's view (mirrored like the preview, y down);
+     * size is wrist to middle knuckle as a fraction of frame height, so it
+     * grows as the hand comes nearer the camera
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @returns {Object} {x, y, size}
+     */
+    getPalm(landmarks) {
+        // Wrist and the four knuckles: stays put while the fingers open
+        const palmIndices = [0, 5, 9, 13, 17];
+        let x = 0;
+        let y = 0;
+        palmIndices.forEach(index => {
+            x += landmarks[index].x / palmIndices.length;
+            y += landmarks[index].y / palmIndices.length;
+        });
+
+        return {
+            x: this.mirror ? 1 - x : x,
+            y,
+            size: this.distance(this.toHandSpace(landmarks[0]), this.toHandSpace(landmarks[9]))
+        };
     }
 
     /**
      * Trigger the gesture callback
+     * @param {string} hand
+     * @param {Object} palm - {x, y, size} from getPalm
      */
-    triggerGesture() {
+    triggerGesture(hand, palm) {
         if (CONFIG.DEBUG.LOG_GESTURES) {
-            console.log('🎆 GESTURE TRIGGERED: Fist → Open Palm');
+            console.log(`🎆 GESTURE TRIGGERED: Fist → Open Palm (${hand} hand, palm at ` +
+                `${palm.x.toFixed(2)}, ${palm.y.toFixed(2)}, size ${palm.size.toFixed(2)})`);
         }
 
         if (this.onGestureTrigger) {
-            this.onGestureTrigger();
+            this.onGestureTrigger(palm, hand);
         }
     }
 
+    /**
+     * Subscribe to a custom gesture by name ('*' for all)
+     * @param {string} name - Gesture name from CONFIG.CUSTOM_GESTURES (or registered later)
+     * @param {Function} callback - Receives { name, hand, timestamp }
+     * @returns {Function} Unsubscribe function
+     */
+    on(name, callback) {
+        return this.gestureRegistry.on(name, callback);
+    }
+
     /**
      * Get current gesture state
+     * @param {string} [hand] - Hand label; defaults to the first tracked hand
+     */
+    getState(hand = this.getTrackedHands()[0]) {
+        const handState = this.handStates.get(hand);
+        return handState ? handState.currentState : 'UNKNOWN';
+    }
+
+    /**
+     * Get labels of all hands currently in view
+     */
+    getTrackedHands() {
+        return Array.from(this.handStates.keys())
+            .filter(hand => this.handStates.get(hand).currentState !== 'UNKNOWN');
+    }
+
+    /**
+     * Time left before a hand can trigger fireworks again (ms)
+     */
+    getCooldownRemaining(hand) {
+        const handState = this.handStates.get(hand);
+        if (!handState) return 0;
+        return Math.max(0, handState.lastTriggerTime + CONFIG.GESTURE.COOLDOWN_MS - this.getTime());
+    }
+
+    /**
+     * Current time on the clock frame timestamps use: Date.now(), shifted to
+     * the recording's clock while replaying
      */
-    getState() {
-        return this.currentState;
+    getTime() {
+        return Date.now() + this.clockOffset;
     }
 
     /**
@@ -331,9 +863,11 @@ export class GestureDetector {
     dispose() {
         if (this.camera) {
             this.camera.stop();
+            this.camera = null;
         }
         if (this.hands) {
             this.hands.close();
+            this.hands = null;
         }
     }
 }
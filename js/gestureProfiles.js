@@ -0,0 +1,103 @@
+/**
+ * GestureProfiles.js
+ * Named per-user gesture threshold profiles persisted in localStorage
+ */
+
+const STORAGE_KEY = 'gestureProfiles';
+
+export class GestureProfiles {
+    constructor() {
+        this.data = this.load();
+    }
+
+    /**
+     * Read profiles from localStorage
+     * @returns {Object} { active: name|null, profiles: { name: { thresholds, createdAt } } }
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                return { active: data.active || null, profiles: data.profiles || {} };
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load gesture profiles:', error);
+        }
+        return { active: null, profiles: {} };
+    }
+
+    /**
+     * Write profiles to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('⚠️ Failed to save gesture profiles:', error);
+        }
+    }
+
+    /**
+     * Names of all saved profiles
+     */
+    list() {
+        return Object.keys(this.data.profiles);
+    }
+
+    /**
+     * Get a saved profile by name
+     */
+    get(name) {
+        return this.data.profiles[name] || null;
+    }
+
+    /**
+     * Save (or overwrite) a profile and make it active
+     * @param {string} name - Profile name
+     * @param {Object} thresholds - CONFIG.GESTURE overrides
+     */
+    save(name, thresholds) {
+        this.data.profiles[name] = {
+            thresholds,
+            createdAt: new Date().toISOString()
+        };
+        this.data.active = name;
+        this.persist();
+        console.log(`✅ Gesture profile "${name}" saved`);
+    }
+
+    /**
+     * Delete a profile (falls back to defaults if it was active)
+     */
+    remove(name) {
+        delete this.data.profiles[name];
+        if (this.data.active === name) {
+            this.data.active = null;
+        }
+        this.persist();
+    }
+
+    /**
+     * Choose the active profile (null for CONFIG defaults)
+     */
+    setActive(name) {
+        this.data.active = name && this.data.profiles[name] ? name : null;
+        this.persist();
+    }
+
+    /**
+     * Name of the active profile, or null when using defaults
+     */
+    getActiveName() {
+        return this.data.active;
+    }
+
+    /**
+     * Thresholds of the active profile, or null when using defaults
+     */
+    getActiveThresholds() {
+        const profile = this.get(this.data.active);
+        return profile ? profile.thresholds : null;
+    }
+}
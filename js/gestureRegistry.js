@@ -0,0 +1,206 @@
+/**
+ * GestureRegistry.js
+ * Declarative custom gestures: each gesture is data (finger pattern, optional
+ * transition / hold time, cooldown) and apps subscribe to gestures by name
+ *
+ * Gesture definition:
+ * {
+ *     name: 'peace',
+ *     pose: {                              // Pattern the hand must match
+ *         fingers: { index: true, middle: true, ring: false, pinky: false },
+ *         pinch: false,                    // Optional thumb-index pinch state
+ *         minFingers: 0, maxFingers: 5     // Optional extended-finger count range
+ *     },
+ *     from: { fingers: {...} },            // Optional: pose that must precede this one
+ *     withinMs: 600,                       // Max time between `from` and `pose` (transitions)
+ *     holdMs: 300,                         // How long `pose` must be held before firing
+ *     cooldownMs: 1000,                    // Minimum time between two fires (per hand)
+ *     exclusive: true,                     // Optional: while the pose is held, it isn't also read as a finger count
+ *     hand: 'Right'                        // Optional: only this hand can trigger it
+ * }
+ */
+
+import { CONFIG } from './config.js';
+
+export class GestureRegistry {
+    constructor(definitions = []) {
+        this.gestures = new Map();   // name → definition
+        this.listeners = new Map();  // name → Set of callbacks ('*' receives every gesture)
+        this.handStates = new Map(); // hand → Map(name → match state)
+
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Register (or replace) a gesture definition
+     * @param {Object} definition - See file header for the format
+     */
+    register(definition) {
+        if (!definition || !definition.name || !definition.pose) {
+            throw new Error('Gesture definition needs a name and a pose');
+        }
+
+        this.gestures.set(definition.name, {
+            holdMs: 0,
+            withinMs: 1000,
+            cooldownMs: CONFIG.GESTURE.COOLDOWN_MS,
+            ...definition
+        });
+
+        // Drop any stale match state for a replaced gesture
+        this.handStates.forEach(states => states.delete(definition.name));
+    }
+
+    /**
+     * Remove a gesture definition
+     */
+    unregister(name) {
+        this.gestures.delete(name);
+        this.handStates.forEach(states => states.delete(name));
+    }
+
+    /**
+     * Subscribe to a gesture by name ('*' for every gesture)
+     * @param {string} name - Gesture name
+     * @param {Function} callback - Receives { name, hand, timestamp }
+     * @returns {Function} Unsubscribe function
+     */
+    on(name, callback) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, new Set());
+        }
+        this.listeners.get(name).add(callback);
+
+        return () => this.off(name, callback);
+    }
+
+    /**
+     * Unsubscribe from a gesture
+     */
+    off(name, callback) {
+        const callbacks = this.listeners.get(name);
+        if (callbacks) {
+            callbacks.delete(callback);
+        }
+    }
+
+    /**
+     * Check whether a hand pose matches a pattern
+     * @param {Object} pattern - { fingers, pinch, minFingers, maxFingers }
+     * @param {Object} pose - { fingers, fingerCount, pinch }
+     */
+    matches(pattern, pose) {
+        if (pattern.fingers) {
+            for (const [finger, extended] of Object.entries(pattern.fingers)) {
+                if (pose.fingers[finger] !== extended) return false;
+            }
+        }
+        if (pattern.pinch !== undefined && pose.pinch !== pattern.pinch) return false;
+        if (pattern.minFingers !== undefined && pose.fingerCount < pattern.minFingers) return false;
+        if (pattern.maxFingers !== undefined && pose.fingerCount > pattern.maxFingers) return false;
+
+        return true;
+    }
+
+    /**
+     * Feed one frame of hand pose data (called by GestureDetector)
+     * @param {string} hand - Hand label
+     * @param {Object} pose - { fingers, fingerCount, pinch }
+     * @param {number} now - Frame time (ms)
+     */
+    update(hand, pose, now) {
+        if (!this.handStates.has(hand)) {
+            this.handStates.set(hand, new Map());
+        }
+        const states = this.handStates.get(hand);
+
+        this.gestures.forEach((gesture, name) => {
+            if (gesture.hand && gesture.hand !== hand) return;
+
+            if (!states.has(name)) {
+                states.set(name, { matchStart: null, fired: false, lastFromTime: -Infinity, lastFireTime: -Infinity });
+            }
+            const state = states.get(name);
+
+            // Remember when the preceding pose was last seen (transitions)
+            if (gesture.from && this.matches(gesture.from, pose)) {
+                state.lastFromTime = now;
+            }
+
+            if (!this.matches(gesture.pose, pose)) {
+                state.matchStart = null;
+                state.fired = false;
+                return;
+            }
+
+            if (state.matchStart === null) {
+                // A transition only starts if the `from` pose was seen recently
+                if (gesture.from && now - state.lastFromTime > gesture.withinMs) return;
+                state.matchStart = now;
+            }
+
+            const held = now - state.matchStart >= gesture.holdMs;
+            const cooledDown = now - state.lastFireTime > gesture.cooldownMs;
+
+            if (held && cooledDown && !state.fired) {
+                state.fired = true;
+                state.lastFireTime = now;
+                this.emit(name, hand, now);
+            }
+        });
+    }
+
+    /**
+     * Whether a hand is currently in the pose of an exclusive gesture
+     * (GestureDetector then skips finger counting, so e.g. a thumbs-up
+     * isn't also a one-finger scroll selection)
+     */
+    isHoldingExclusive(hand) {
+        const states = this.handStates.get(hand);
+        if (!states) return false;
+
+        for (const [name, gesture] of this.gestures) {
+            const state = states.get(name);
+            if (gesture.exclusive && state && state.matchStart !== null) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Reset in-progress matches for a hand that left the frame
+     * (cooldowns are kept so a flickering hand can't re-fire)
+     */
+    clearHand(hand) {
+        const states = this.handStates.get(hand);
+        if (!states) return;
+
+        states.forEach(state => {
+            state.matchStart = null;
+            state.fired = false;
+        });
+    }
+
+    /**
+     * Drop all match state for a hand, cooldowns included (it has expired)
+     */
+    forgetHand(hand) {
+        this.handStates.delete(hand);
+    }
+
+    /**
+     * Notify subscribers of a recognized gesture
+     */
+    emit(name, hand, timestamp) {
+        if (CONFIG.DEBUG.LOG_GESTURES) {
+            console.log(`✨ Gesture recognized: ${name} (${hand} hand)`);
+        }
+
+        const event = { name, hand, timestamp };
+        [name, '*'].forEach(key => {
+            const callbacks = this.listeners.get(key);
+            if (callbacks) {
+                callbacks.forEach(callback => callback(event));
+            }
+        });
+    }
+}
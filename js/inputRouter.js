@@ -0,0 +1,218 @@
+/**
+ * InputRouter.js
+ * Turns keyboard, mouse, touch and gesture input into named actions
+ * (launch, select, confirm, reset, openMenu...) using remappable bindings
+ *
+ * Handlers receive the action plus metadata about where it came from:
+ * { action, value, source: 'keyboard' | 'mouse' | 'touch' | 'gesture', trigger, hand, event }
+ */
+
+import { CONFIG } from './config.js';
+
+const SOURCES = ['keyboard', 'gesture', 'pointer'];
+
+export class InputRouter {
+    constructor(bindings = CONFIG.INPUT) {
+        this.bindings = new Map();   // source → Map(trigger → { action, value, when })
+        this.handlers = new Map();   // action → Set of handlers ('*' receives every action)
+        this.contexts = new Map();   // context name → predicate, for bindings with `when`
+
+        SOURCES.forEach(source => this.bindings.set(source, new Map()));
+        Object.entries(bindings.KEYBOARD || {}).forEach(([trigger, binding]) => this.bind('keyboard', trigger, binding));
+        Object.entries(bindings.GESTURE || {}).forEach(([trigger, binding]) => this.bind('gesture', trigger, binding));
+        Object.entries(bindings.POINTER || {}).forEach(([trigger, binding]) => this.bind('pointer', trigger, binding));
+
+        this.onKeyDown = (event) => this.handleKeyDown(event);
+        document.addEventListener('keydown', this.onKeyDown);
+    }
+
+    /**
+     * Bind (or rebind) a trigger to an action
+     * @param {string} source - 'keyboard', 'gesture' or 'pointer'
+     * @param {string} trigger - Key chord ('R', 'Mod+R', 'Space'), gesture name or 'tap'
+     * @param {string|Object} binding - Action name or { action, value, when }
+     */
+    bind(source, trigger, binding) {
+        if (!this.bindings.has(source)) {
+            throw new Error(`Unknown input source: ${source}`);
+        }
+
+        const normalized = typeof binding === 'string' ? { action: binding } : { ...binding };
+        const key = source === 'keyboard' ? this.normalizeChord(trigger) : trigger;
+        this.bindings.get(source).set(key, normalized);
+    }
+
+    /**
+     * Remove a binding
+     */
+    unbind(source, trigger) {
+        const key = source === 'keyboard' ? this.normalizeChord(trigger) : trigger;
+        this.bindings.get(source).delete(key);
+    }
+
+    /**
+     * Current bindings for a source as { trigger: { action, value, when } }
+     */
+    getBindings(source) {
+        return Object.fromEntries(this.bindings.get(source));
+    }
+
+    /**
+     * Register a context predicate used by bindings' `when` field
+     * @param {string} name - Context name (e.g. 'menu')
+     * @param {Function} isActive - Returns true while the context applies
+     */
+    setContext(name, isActive) {
+        this.contexts.set(name, isActive);
+    }
+
+    /**
+     * Handle an action
+     * @param {string} action - Action name ('*' for every action)
+     * @param {Function} handler - Receives the action metadata object
+     * @returns {Function} Unsubscribe function
+     */
+    on(action, handler) {
+        if (!this.handlers.has(action)) {
+            this.handlers.set(action, new Set());
+        }
+        this.handlers.get(action).add(handler);
+
+        return () => this.off(action, handler);
+    }
+
+    off(action, handler) {
+        const handlers = this.handlers.get(action);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Run an action's handlers
+     * @param {string} action - Action name
+     * @param {Object} [meta] - { value, source, trigger, hand, palm, event }
+     * @returns {boolean} Whether any handler ran
+     */
+    dispatch(action, meta = {}) {
+        const input = { action, value: undefined, source: 'code', trigger: null, hand: null, ...meta };
+        let handled = false;
+
+        [action, '*'].forEach(key => {
+            const handlers = this.handlers.get(key);
+            if (handlers) {
+                handlers.forEach(handler => handler(input));
+                handled = handled || key === action;
+            }
+        });
+
+        if (CONFIG.DEBUG.LOG_GESTURES && handled) {
+            console.log(`🎮 Action: ${action}${input.value !== undefined ? `(${input.value})` : ''} from ${input.source} (${input.trigger})`);
+        }
+        return handled;
+    }
+
+    /**
+     * Look up a binding and dispatch it if its context applies
+     */
+    route(source, trigger, meta) {
+        const binding = this.bindings.get(source).get(trigger);
+        if (!binding) return false;
+
+        if (binding.when) {
+            const isActive = this.contexts.get(binding.when);
+            if (!isActive || !isActive()) return false;
+        }
+
+        // A fixed value in the binding wins over one supplied by the source
+        return this.dispatch(binding.action, {
+            ...meta,
+            trigger,
+            value: binding.value !== undefined ? binding.value : meta.value
+        });
+    }
+
+    /**
+     * Keyboard source
+     */
+    handleKeyDown(event) {
+        const chord = this.chordFromEvent(event);
+
+        // Let plain keys reach text fields (e.g. typing in the command palette search)
+        const target = event.target;
+        const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+        if (isTyping && !chord.startsWith('Mod+') && chord !== 'Escape') return;
+
+        // Space / Enter on a focused button already click it
+        if (target && target.tagName === 'BUTTON' && (chord === 'Space' || chord === 'Enter')) return;
+
+        if (this.route('keyboard', chord, { source: 'keyboard', event })) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Gesture source (fed by GestureDetector callbacks and the gesture registry)
+     * @param {string} name - Gesture name (e.g. 'fistToOpen', 'swipeUp', 'fingerCount')
+     * @param {Object} [meta] - { hand, value, palm (fistToOpen) }
+     */
+    handleGesture(name, meta = {}) {
+        return this.route('gesture', name, { source: 'gesture', ...meta });
+    }
+
+    /**
+     * Mouse / touch source: taps on `element` are resolved to a value (e.g. a
+     * scroll index) by `hitTest`; taps on nothing are ignored
+     * @param {HTMLElement} element - Element to listen on
+     * @param {Function} hitTest - (clientX, clientY) → value or null
+     */
+    attachPointer(element, hitTest) {
+        const handleTap = (event) => {
+            // Prevent default to avoid double-firing on touch devices
+            event.preventDefault();
+
+            const isTouch = event.type.startsWith('touch');
+            const point = isTouch ? (event.touches[0] || event.changedTouches[0]) : event;
+            const value = hitTest(point.clientX, point.clientY);
+            if (value === null || value === undefined) return;
+
+            this.route('pointer', 'tap', { source: isTouch ? 'touch' : 'mouse', value, event });
+        };
+
+        element.addEventListener('click', handleTap);
+        element.addEventListener('touchend', handleTap);
+    }
+
+    /**
+     * Key chord for an event, e.g. 'R', 'Mod+R', 'Alt+Space'
+     */
+    chordFromEvent(event) {
+        const key = event.key === ' ' ? 'Space' : event.key;
+        const parts = [];
+        if (event.metaKey || event.ctrlKey) parts.push('Mod');
+        if (event.altKey) parts.push('Alt');
+        parts.push(key.length === 1 ? key.toUpperCase() : key);
+        return parts.join('+');
+    }
+
+    /**
+     * Normalize a binding chord written by hand ('mod+r' → 'Mod+R')
+     */
+    normalizeChord(chord) {
+        const parts = chord.split('+');
+        const key = parts.pop();
+        const modifiers = parts.map(part => part.toLowerCase());
+        const normalized = [];
+        if (modifiers.some(m => m === 'mod' || m === 'cmd' || m === 'ctrl' || m === 'meta')) normalized.push('Mod');
+        if (modifiers.includes('alt')) normalized.push('Alt');
+        normalized.push(key.length === 1 ? key.toUpperCase() : key);
+        return normalized.join('+');
+    }
+
+    /**
+     * Remove global listeners
+     */
+    dispose() {
+        document.removeEventListener('keydown', this.onKeyDown);
+    }
+}
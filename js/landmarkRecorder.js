@@ -0,0 +1,102 @@
+/**
+ * LandmarkRecorder.js
+ * Captures timestamped MediaPipe hand landmark streams and saves them as JSON
+ * for offline replay (see LandmarkReplay)
+ */
+
+import { CONFIG } from './config.js';
+
+export const RECORDING_VERSION = 1;
+
+export class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = null;
+        this.frameAspect = 4 / 3;
+    }
+
+    /**
+     * Start a new recording (discards any previous frames)
+     * @param {number} [frameAspect] - Width / height of the camera frames
+     */
+    start(frameAspect = this.frameAspect) {
+        this.frames = [];
+        this.frameAspect = frameAspect;
+        this.startTime = null;
+        this.isRecording = true;
+
+        console.log('⏺️ Landmark recording started');
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} The finished recording
+     */
+    stop() {
+        this.isRecording = false;
+        console.log(`⏹️ Landmark recording stopped (${this.frames.length} frames)`);
+        return this.toJSON();
+    }
+
+    /**
+     * Capture one frame of results (called by GestureDetector.onResults)
+     * @param {Object} results - MediaPipe results
+     * @param {number} now - Frame time (ms)
+     */
+    capture(results, now) {
+        if (!this.isRecording) return;
+
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+
+        const multiHandLandmarks = (results.multiHandLandmarks || []).map(landmarks =>
+            landmarks.map(({ x, y, z }) => ({ x, y, z }))
+        );
+        const multiHandedness = (results.multiHandedness || []).map(({ label, score }) => ({ label, score }));
+
+        this.frames.push({
+            t: now - this.startTime,
+            multiHandLandmarks,
+            multiHandedness
+        });
+    }
+
+    /**
+     * Serializable recording
+     */
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            frameAspect: this.frameAspect,
+            maxNumHands: CONFIG.MEDIAPIPE.MAX_NUM_HANDS,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Download the recording as a JSON file
+     * @param {string} [filename]
+     */
+    download(filename = `gestures-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        // Firefox and older Safari need the link in the document and the URL
+        // alive until the download has started
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(() => {
+            link.remove();
+            URL.revokeObjectURL(url);
+        }, 1000);
+        console.log(`💾 Saved ${this.frames.length} frames to ${filename}`);
+    }
+}
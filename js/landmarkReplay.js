@@ -0,0 +1,145 @@
+/**
+ * LandmarkReplay.js
+ * Feeds recorded landmark streams through GestureDetector.onResults without
+ * a camera or MediaPipe model, for reproducing gesture bugs offline
+ */
+
+import { RECORDING_VERSION } from './landmarkRecorder.js';
+
+export class LandmarkReplay {
+    constructor(gestureDetector) {
+        this.gestureDetector = gestureDetector;
+        this.recording = null;
+        this.isPlaying = false;
+        this.frameIndex = 0;
+        this.timer = null;
+        this.resolvePlayback = null;
+    }
+
+    /**
+     * Load a recording from a URL, File or already-parsed object
+     * @param {string|File|Object} source
+     * @returns {Promise<Object>} The recording
+     */
+    async load(source) {
+        let recording = source;
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load recording ${source} (${response.status})`);
+            }
+            recording = await response.json();
+        } else if (typeof File !== 'undefined' && source instanceof File) {
+            recording = JSON.parse(await source.text());
+        }
+
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Invalid landmark recording: missing frames');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            console.warn(`⚠️ Recording version ${recording.version} differs from ${RECORDING_VERSION}`);
+        }
+
+        this.recording = recording;
+        console.log(`📼 Loaded recording with ${recording.frames.length} frames`);
+        return recording;
+    }
+
+    /**
+     * Prepare the detector for a fresh, deterministic run
+     */
+    prepare() {
+        this.stop();
+        this.frameIndex = 0;
+        this.gestureDetector.initReplay(this.recording.frameAspect);
+    }
+
+    /**
+     * Feed a single recorded frame to the detector
+     */
+    feedFrame(frame) {
+        this.gestureDetector.onResults({
+            timestamp: frame.t,
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness
+        });
+    }
+
+    /**
+     * Feed every frame immediately using recorded timestamps
+     * Timing is fully virtual, so callbacks fire identically on every run
+     */
+    runAll() {
+        if (!this.recording) throw new Error('No recording loaded');
+
+        this.prepare();
+        this.recording.frames.forEach(frame => this.feedFrame(frame));
+        this.frameIndex = this.recording.frames.length;
+    }
+
+    /**
+     * Play frames back in real time (scaled by speed)
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed multiplier
+     * @param {boolean} [options.loop=false] - Restart when the recording ends
+     * @returns {Promise<void>} Resolves when playback finishes or is stopped
+     */
+    play({ speed = 1, loop = false } = {}) {
+        if (!this.recording) throw new Error('No recording loaded');
+
+        this.prepare();
+        this.isPlaying = true;
+
+        const frames = this.recording.frames;
+        console.log(`▶️ Replaying ${frames.length} frames at ${speed}x`);
+
+        return new Promise((resolve) => {
+            this.resolvePlayback = resolve;
+
+            // Offset keeps timestamps increasing across loops
+            let loopOffset = 0;
+
+            const step = () => {
+                const frame = frames[this.frameIndex];
+                this.feedFrame({ ...frame, t: frame.t + loopOffset });
+                this.frameIndex++;
+
+                if (this.frameIndex >= frames.length) {
+                    if (!loop) {
+                        console.log('⏹️ Replay finished');
+                        this.stop();
+                        return;
+                    }
+                    loopOffset += frames[frames.length - 1].t + 1;
+                    this.frameIndex = 0;
+                }
+
+                const delay = (frames[this.frameIndex].t - frame.t) / speed;
+                this.timer = setTimeout(step, Math.max(0, delay));
+            };
+
+            if (frames.length === 0) {
+                this.stop();
+                return;
+            }
+            step();
+        });
+    }
+
+    /**
+     * Stop real-time playback (resolves the pending play() promise)
+     */
+    stop() {
+        this.isPlaying = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.resolvePlayback) {
+            const resolve = this.resolvePlayback;
+            this.resolvePlayback = null;
+            resolve();
+        }
+    }
+}
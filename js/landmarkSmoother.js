@@ -0,0 +1,56 @@
+/**
+ * LandmarkSmoother.js
+ * Applies a One Euro filter to every coordinate of a hand's 21 landmarks
+ */
+
+import { CONFIG } from './config.js';
+import { OneEuroFilter } from './oneEuroFilter.js';
+
+export class LandmarkSmoother {
+    constructor() {
+        this.filters = null; // 21 × { x, y, z } filters, created on first frame
+    }
+
+    /**
+     * Create filters from CONFIG.GESTURE
+     */
+    createFilters(count) {
+        const { ONE_EURO_MIN_CUTOFF, ONE_EURO_BETA, ONE_EURO_D_CUTOFF } = CONFIG.GESTURE;
+        const create = () => new OneEuroFilter(ONE_EURO_MIN_CUTOFF, ONE_EURO_BETA, ONE_EURO_D_CUTOFF);
+
+        this.filters = Array.from({ length: count }, () => ({
+            x: create(),
+            y: create(),
+            z: create()
+        }));
+    }
+
+    /**
+     * Smooth one frame of landmarks
+     * @param {Array} landmarks - Raw MediaPipe landmarks
+     * @param {number} now - Frame time (ms)
+     * @returns {Array} New array of smoothed { x, y, z } landmarks
+     */
+    smooth(landmarks, now) {
+        if (!this.filters || this.filters.length !== landmarks.length) {
+            this.createFilters(landmarks.length);
+        }
+
+        const time = now / 1000;
+        return landmarks.map((landmark, index) => {
+            const filter = this.filters[index];
+            return {
+                x: filter.x.filter(landmark.x, time),
+                y: filter.y.filter(landmark.y, time),
+                z: filter.z.filter(landmark.z || 0, time)
+            };
+        });
+    }
+
+    /**
+     * Start fresh (e.g. after the hand left the frame)
+     */
+    reset() {
+        this.filters = null;
+    }
+}
@@ -4,12 +4,26 @@
  */
 
 import { CONFIG } from './config.js';
+import { Random } from './random.js';
+import { QualityGovernor } from './qualityGovernor.js';
 import { GestureDetector } from './gestureDetector.js';
 import { TextToPoints } from './textToPoints.js';
 import { FireworksSystem } from './fireworksSystem.js';
 import { SceneManager } from './sceneManager.js';
 import { ScrollManager } from './scrollManager.js';
 import { MenuManager } from './menuManager.js';
+import { AirPointer } from './airPointer.js';
+import { CalibrationWizard } from './calibrationWizard.js';
+import { GestureProfiles } from './gestureProfiles.js';
+import { LandmarkRecorder } from './landmarkRecorder.js';
+import { LandmarkReplay } from './landmarkReplay.js';
+import { AssetLoader } from './assetLoader.js';
+import { InputRouter } from './inputRouter.js';
+import { CameraSettings } from './cameraSettings.js';
+import { CameraPanel } from './cameraPanel.js';
+import { DebugHud } from './debugHud.js';
+import { ChoreographyPlayer } from './choreographyPlayer.js';
+import { AudioEngine } from './audioEngine.js';
 
 class CNYFireworksApp {
     constructor() {
@@ -19,10 +33,28 @@ class CNYFireworksApp {
         this.scrollManager = null;
         this.sceneManager = null;
         this.menuManager = null;
+        this.inputRouter = null;
+        this.airPointer = null;
+        this.calibrationWizard = null;
+        this.gestureProfiles = null;
+        this.cameraSettings = new CameraSettings();
+        this.cameraPanel = null;
+        this.debugHud = null;
+        this.choreography = null;
+        this.qualityGovernor = null;
+        this.landmarkRecorder = null;
+        this.landmarkReplay = null;
+        this.assetLoader = new AssetLoader();
+        this.random = this.createRandom();
+        this.audioEngine = new AudioEngine();   // Early, so the first tap / key press unlocks audio
         
         this.targetPoints = null;
+        this.targetPointsStale = false; // Sampled at an old density, resample before launching
+        this.phraseIndex = Math.max(0, CONFIG.TEXT.PHRASES.indexOf(CONFIG.TEXT.CONTENT));
         this.isReady = false;
         this.fireworksLaunched = false;
+        this.gesturesEnabled = true;      // False in camera-less fallback mode
+        this.pendingNotice = null;        // Status message waiting for start-up to finish (see showNotice)
         
         this.init();
     }
@@ -34,46 +66,163 @@ class CNYFireworksApp {
         try {
             console.log('🎆 Starting CNY Fireworks Experience...');
             
+            // Load Three.js and MediaPipe (local copies, CDN fallback; only Three.js is fatal)
+            this.assetLoader.onProgress = (text) => this.updateLoadingText(text);
+            await this.assetLoader.loadAll();
+            
             // Update status
             this.updateStatus('Initializing Three.js scene...');
 
-            // Initialize Three.js scene
+            // Initialize Three.js scene (at the starting quality, so antialiasing is right first time)
             const container = document.getElementById('scene-container');
-            this.sceneManager = new SceneManager(container);
+            const quality = CONFIG.PERFORMANCE.QUALITY;
+            const startLevel = quality.ENABLED ? quality.LEVELS[QualityGovernor.getStartLevel()] : null;
+            this.sceneManager = new SceneManager(container, startLevel
+                ? { antialias: startLevel.antialias, pixelRatio: startLevel.pixelRatio }
+                : {});
+
+            // Initialize fireworks system
+            this.updateStatus('Setting up fireworks system...');
+            this.fireworksSystem = new FireworksSystem(this.sceneManager.getScene(), this.random.fork('fireworks'));
+            if (CONFIG.FIREWORKS.TRAILS.MODE === 'afterimage') {
+                this.sceneManager.enableAfterimage(this.fireworksSystem.particleMesh);
+            }
+
+            // Adaptive quality (CONFIG.PERFORMANCE.QUALITY); applied before the text is sampled
+            this.qualityGovernor = new QualityGovernor(this.sceneManager, this.fireworksSystem);
+            if (this.qualityGovernor.enabled) {
+                this.qualityGovernor.apply();
+            }
+            this.qualityGovernor.onChange = (level, previous) => {
+                // Resample at the new density on the next launch (or show cue),
+                // not in the slow frame that made the governor step down
+                if (level.sampleDensity !== previous.sampleDensity) {
+                    this.targetPointsStale = true;
+                    this.choreography.invalidatePoints();
+                }
+            };
 
             // Convert text to points
             this.updateStatus('Generating text point cloud...');
-            this.textConverter = new TextToPoints();
-            this.targetPoints = this.textConverter.convertToPoints();
+            this.textConverter = new TextToPoints(this.random.fork('text'));
+            this.targetPoints = this.textConverter.convertToPoints(this.getCurrentPhrase());
 
-            // Initialize fireworks system
-            this.updateStatus('Setting up fireworks system...');
-            this.fireworksSystem = new FireworksSystem(this.sceneManager.getScene());
+            // Fireworks sounds follow particle phase changes, placed relative to the camera
+            this.audioEngine.camera = this.sceneManager.getCamera();
+            this.fireworksSystem.onEffect = (type, x, y, z, shellType) => {
+                this.audioEngine.handleFireworksEvent(type, x, y, z, shellType);
+            };
 
             // Initialize scroll manager system
-            this.scrollManager = new ScrollManager(this.sceneManager.getScene());
+            this.scrollManager = new ScrollManager(this.sceneManager.getScene(), this.random.fork('scrolls'));
+
+            // Scripted show player (loaded further down, once everything is wired)
+            this.choreography = new ChoreographyPlayer(this.fireworksSystem, this.scrollManager, this.textConverter);
+            this.choreography.onStatus = (text) => this.updateStatus(text);
+            this.choreography.onEnd = () => this.updateStatus('🎬 Show finished');
+
+            // Initialize fingertip pointer for scroll selection
+            this.airPointer = new AirPointer(this.sceneManager.getCamera(), this.scrollManager);
 
             // Initialize gesture detector
-            this.updateStatus('Initializing webcam & MediaPipe...');
-            this.gestureDetector = new GestureDetector();
+            // One set of calibration profiles, shared by the detector and the wizard
+            this.gestureProfiles = new GestureProfiles();
+            this.gestureDetector = new GestureDetector(this.gestureProfiles);
+            this.gestureDetector.handsBaseUrl = this.assetLoader.getBaseUrl('hands');
+            this.gestureDetector.cameraSettings = this.cameraSettings.get();
+            this.applyCameraMirror(this.cameraSettings.get().mirror);
+            this.landmarkRecorder = new LandmarkRecorder();
+            this.gestureDetector.recorder = this.landmarkRecorder;
             
-            // Set up callbacks
-            this.gestureDetector.onGestureTrigger = () => this.onGestureTrigger();
-            this.gestureDetector.onStateChange = (state) => this.onGestureStateChange(state);
-            this.gestureDetector.onFingerCountChange = (scrollIndex) => this.onFingerCountChange(scrollIndex);
-            this.gestureDetector.onFistGesture = () => this.onFistGesture();
-
-            const gestureReady = await this.gestureDetector.init();
+            // Initialize menu manager
+            this.menuManager = new MenuManager();
+            this.menuManager.onToggleRecording = () => this.toggleRecording();
+            this.menuManager.onToggleAirPointer = () => this.airPointer.toggle();
+            this.menuManager.onToggleMute = () => this.audioEngine.toggleMute();
+            this.menuManager.onVolumeChange = (volume) => this.audioEngine.setVolume(volume);
+            this.menuManager.onToggleMusic = () => this.audioEngine.toggleMusic();
+            this.menuManager.setSoundState(this.audioEngine.get());
+
+            // Route keyboard, mouse/touch and gestures to named actions
+            this.inputRouter = new InputRouter();
+            this.setupInputActions();
+            
+            // Set up callbacks (gestures go through the input router)
+            this.gestureDetector.onGestureTrigger = (palm, hand) => this.routeGesture('fistToOpen', { hand, palm });
+            this.gestureDetector.onStateChange = (state, hand) => this.onGestureStateChange(state, hand);
+            this.gestureDetector.onFingerCountChange = (scrollIndex, hand) => {
+                this.routeGesture('fingerCount', { hand, value: scrollIndex });
+            };
+            this.gestureDetector.onFistGesture = (hand) => this.onFistGesture(hand);
+            this.gestureDetector.onCameraMissing = () => {
+                // Forget the stale id so the next visit doesn't try it again
+                this.cameraSettings.update({ deviceId: null });
+                this.showNotice('📷 The saved camera wasn\'t found - using the default camera');
+            };
+            this.gestureDetector.onHandFrame = (hand, landmarks) => {
+                // While calibrating, hands only feed the wizard (no hovering or dwell-selecting scrolls)
+                if (this.isCalibrating()) {
+                    this.calibrationWizard.onHandFrame(hand, landmarks);
+                    return;
+                }
+                this.airPointer.onHandFrame(hand, landmarks);
+            };
+            this.gestureDetector.on('*', ({ name, hand }) => this.routeGesture(name, { hand }));
+
+            // ?replay=<recording.json> replays recorded landmarks instead of using the webcam
+            const replayUrl = new URLSearchParams(window.location.search).get('replay');
+            let gestureReady;
+            if (replayUrl) {
+                this.updateStatus('Loading landmark recording...');
+                this.landmarkReplay = new LandmarkReplay(this.gestureDetector);
+                await this.landmarkReplay.load(replayUrl);
+                gestureReady = this.gestureDetector.initReplay(this.landmarkReplay.recording.frameAspect);
+            } else if (this.assetLoader.getError('hands')) {
+                // hands.js didn't load, so there's nothing to run the camera through
+                this.gestureDetector.initError = this.assetLoader.getError('hands');
+                gestureReady = false;
+            } else {
+                this.updateStatus('Initializing webcam & MediaPipe...');
+                gestureReady = await this.gestureDetector.init();
+            }
 
+            // No camera / permission / MediaPipe: keep going on keyboard, mouse and touch
             if (!gestureReady) {
-                throw new Error('Failed to initialize gesture detector');
+                this.enterFallbackMode(this.gestureDetector.initError);
             }
 
-            // Set up keyboard controls for testing
-            this.setupKeyboardControls();
-
-            // Initialize menu manager
-            this.menuManager = new MenuManager();
+            // Calibration wizard (the detector already loaded the active profile)
+            this.calibrationWizard = new CalibrationWizard(this.gestureDetector, this.gestureProfiles);
+            this.calibrationWizard.onProfileChange = (name) => {
+                this.updateStatus(`🎯 Gesture profile: ${name || 'Default'}`);
+            };
+            this.menuManager.onOpenCalibration = () => {
+                if (!this.gesturesEnabled) {
+                    this.updateStatus('📷 Calibration needs the camera - retry it from the banner');
+                    return;
+                }
+                this.airPointer.release();
+                this.calibrationWizard.open();
+            };
+
+            // Camera device / resolution picker
+            this.cameraPanel = new CameraPanel(this.gestureDetector, this.cameraSettings);
+            this.cameraPanel.onChange = (settings) => this.applyCameraSettings(settings);
+            this.cameraPanel.onMirrorChange = (mirror) => this.applyCameraMirror(mirror);
+            this.menuManager.onOpenCameraSettings = () => this.cameraPanel.open();
+
+            // Developer stats panel (CONFIG.DEBUG.SHOW_STATS, toggle with ` or the menu)
+            this.debugHud = new DebugHud({
+                gestureDetector: this.gestureDetector,
+                fireworksSystem: this.fireworksSystem,
+                scrollManager: this.scrollManager,
+                qualityGovernor: this.qualityGovernor,
+                random: this.random
+            });
+            this.menuManager.onToggleHud = () => this.debugHud.toggle();
+
+            // ?show=<show.json> (or CONFIG.CHOREOGRAPHY.URL) loads a scripted show
+            await this.loadShow();
 
             // Start animation loop
             this.animate();
@@ -82,132 +231,414 @@ class CNYFireworksApp {
             this.hideLoadingScreen();
             this.isReady = true;
 
-            this.updateStatus('✅ Ready! Make a fist then open your palm to start');
+            this.updateStatus(this.gesturesEnabled
+                ? '✅ Ready! Make a fist then open your palm to start'
+                : '✅ Ready! Press Launch (or Enter) to start');
+            if (this.choreography.show && !this.choreography.isPlaying) {
+                this.updateStatus(`✅ Ready! Show "${this.choreography.show.name || 'untitled'}" loaded - ` +
+                    `${this.gesturesEnabled ? 'thumbs up or ' : ''}press P to start`);
+            }
+            
+            if (this.pendingNotice) {
+                this.updateStatus(this.pendingNotice);
+                this.pendingNotice = null;
+            }
             
             console.log('✅ CNY Fireworks Experience ready!');
+
+            if (this.landmarkReplay) {
+                this.landmarkReplay.play();
+            }
         } catch (error) {
             console.error('❌ Initialization failed:', error);
             this.updateStatus(`Error: ${error.message}`);
+            this.showLoadingError(error.message);
         }
     }
 
     /**
-     * Set up keyboard controls for scroll selection
+     * Map named input actions to app behaviour
+     * Keyboard, mouse/touch and gestures all reach these through the InputRouter
+     * (bindings live in CONFIG.INPUT)
      */
-    setupKeyboardControls() {
-        // Keyboard controls
-        document.addEventListener('keydown', (event) => {
-            // Number keys 1, 2, 3 to select scrolls
-            if (event.key === '1') {
-                this.scrollManager.selectScroll(0);
-            } else if (event.key === '2') {
-                this.scrollManager.selectScroll(1);
-            } else if (event.key === '3') {
-                this.scrollManager.selectScroll(2);
-            }
-            // Space to confirm selection
-            else if (event.key === ' ') {
-                event.preventDefault();
+    setupInputActions() {
+        const router = this.inputRouter;
+
+        // Fireworks and phrases
+        router.on('launch', ({ hand, palm }) => this.onGestureTrigger(hand, palm));
+        router.on('startShow', () => this.startShow());
+        router.setContext('show', () => Boolean(this.choreography && this.choreography.show));
+        router.on('seekShow', ({ value }) => this.seekShow(value));
+        router.on('restartShow', () => this.restartShow());
+        router.on('toggleShowLoop', () => {
+            const player = this.choreography;
+            player.setLoop(!player.loop);
+            this.updateStatus(player.loop ? '🔁 Show will loop' : '➡️ Show will stop at the end');
+        });
+        router.on('previousPhrase', () => this.cyclePhrase(-1));
+        router.on('nextPhrase', () => this.cyclePhrase(1));
+
+        // Scroll selection
+        router.on('select', ({ value }) => this.scrollManager.selectScroll(value));
+        router.on('confirm', () => this.scrollManager.confirmSelection());
+        router.on('autoSelect', ({ value, hand }) => this.onFingerCountChange(value, hand));
+        router.on('choose', ({ value, source }) => {
+            console.log(`${source === 'touch' ? '👆' : '🖱️'} Tapped scroll ${value + 1}`);
+
+            // If clicking already selected scroll, confirm it
+            if (this.scrollManager.selectedScrollIndex === value) {
                 this.scrollManager.confirmSelection();
-            }
-            // R to reset
-            else if (event.key === 'r' || event.key === 'R') {
-                this.scrollManager.reset();
+            } else {
+                this.scrollManager.selectScroll(value);
             }
         });
+        router.on('pointerConfirm', ({ hand }) => this.airPointer.onPinch(hand));
+        router.on('dismiss', () => this.scrollManager.dismissDisplayed());
+        router.on('reset', () => this.scrollManager.reset());
+        router.on('toggleMute', () => {
+            const muted = this.audioEngine.toggleMute();
+            this.menuManager.setSoundState({ muted });
+            this.updateStatus(muted ? '🔇 Sound muted' : '🔊 Sound on');
+        });
+        router.on('toggleHud', () => {
+            if (this.debugHud) this.debugHud.toggle();
+        });
 
-        // Mouse and touch controls
-        const canvas = document.querySelector('canvas');
+        // Menu
+        router.setContext('menu', () => this.menuManager.isOpen());
+        router.on('openMenu', () => this.menuManager.openPalette());
+        router.on('closeMenu', () => this.menuManager.closePalette());
+        router.on('uploadBackground', () => this.menuManager.triggerBackgroundUpload());
+        router.on('resetBackground', () => this.menuManager.resetBackground());
+        router.on('viewSource', () => this.menuManager.openGitHub());
+
+        // Mouse and touch: raycast the tap point against the scrolls
+        // (listening on the container, which outlives canvas swaps by the quality governor)
+        const container = document.getElementById('scene-container');
         const raycaster = new THREE.Raycaster();
         const mouse = new THREE.Vector2();
 
-        const handleInteraction = (event) => {
-            // Prevent default to avoid double-firing on touch devices
-            event.preventDefault();
-            
-            // Get coordinates from either mouse or touch event
-            const rect = canvas.getBoundingClientRect();
-            let clientX, clientY;
-            
-            if (event.type.startsWith('touch')) {
-                const touch = event.touches[0] || event.changedTouches[0];
-                clientX = touch.clientX;
-                clientY = touch.clientY;
-            } else {
-                clientX = event.clientX;
-                clientY = event.clientY;
-            }
-            
+        router.attachPointer(container, (clientX, clientY) => {
             // Calculate position in normalized device coordinates (-1 to +1)
+            const rect = container.getBoundingClientRect();
             mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
             mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
-            // Update raycaster
             raycaster.setFromCamera(mouse, this.sceneManager.getCamera());
+            return this.scrollManager.getScrollAtPosition(raycaster);
+        });
 
-            // Check intersection with scrolls
-            const scrollIndex = this.scrollManager.getScrollAtPosition(raycaster);
-            
-            if (scrollIndex !== null) {
-                const inputType = event.type.startsWith('touch') ? '👆' : '🖱️';
-                console.log(`${inputType} Tapped scroll ${scrollIndex + 1}`);
-                
-                // If clicking already selected scroll, confirm it
-                if (this.scrollManager.selectedScrollIndex === scrollIndex) {
-                    this.scrollManager.confirmSelection();
-                } else {
-                    // Otherwise, select it
-                    this.scrollManager.selectScroll(scrollIndex);
-                }
+        console.log('⌨️  Controls enabled: Tap/click scrolls or press 1/2/3 to select, SPACE to confirm, R to reset');
+    }
+
+    /**
+     * Whether the calibration wizard is open (it owns the hands while it is)
+     */
+    isCalibrating() {
+        return Boolean(this.calibrationWizard && this.calibrationWizard.isActive);
+    }
+
+    /**
+     * Send a gesture to the input router, unless calibration is using the hands
+     */
+    routeGesture(name, meta) {
+        if (this.isCalibrating()) return false;
+        return this.inputRouter.handleGesture(name, meta);
+    }
+
+    /**
+     * Run without gestures: show a launch button and a banner explaining why
+     * @param {Error|null} error - Why the gesture detector failed
+     */
+    enterFallbackMode(error) {
+        this.gesturesEnabled = false;
+        const reason = this.describeGestureError(error);
+        console.warn(`📷 Gestures disabled: ${reason}`);
+
+        const launchBtn = document.getElementById('launch-btn');
+        const banner = document.getElementById('gesture-banner');
+
+        document.getElementById('gesture-banner-text').textContent = `Gestures are off: ${reason}.`;
+        document.getElementById('gesture-hint').textContent =
+            'Press Launch 🎆 (or Enter) for fireworks, then tap a scroll or press 1/2/3';
+        launchBtn.classList.remove('hidden');
+        banner.classList.remove('hidden');
+
+        // Wire the fallback controls once
+        if (!this.fallbackControlsReady) {
+            this.fallbackControlsReady = true;
+            launchBtn.addEventListener('click', () => {
+                this.inputRouter.dispatch('launch', { source: 'mouse', trigger: 'launch-btn' });
+            });
+            document.getElementById('gesture-retry-btn').addEventListener('click', () => this.retryGestures());
+            document.getElementById('gesture-banner-close').addEventListener('click', () => {
+                banner.classList.add('hidden');
+            });
+        }
+    }
+
+    /**
+     * Try the camera and MediaPipe again from the fallback banner
+     */
+    async retryGestures() {
+        const retryBtn = document.getElementById('gesture-retry-btn');
+        retryBtn.disabled = true;
+        retryBtn.textContent = 'Retrying...';
+
+        // hands.js failed at start-up: try the script again first
+        let gestureReady = false;
+        try {
+            if (this.assetLoader.getError('hands')) {
+                await this.assetLoader.reload('hands');
+                this.gestureDetector.handsBaseUrl = this.assetLoader.getBaseUrl('hands');
             }
-        };
+            gestureReady = await this.gestureDetector.init();
+        } catch (error) {
+            this.gestureDetector.initError = error;
+        }
 
-        // Add both click and touch event listeners
-        canvas.addEventListener('click', handleInteraction);
-        canvas.addEventListener('touchend', handleInteraction);
+        retryBtn.disabled = false;
+        retryBtn.textContent = 'Retry camera';
 
-        console.log('⌨️  Controls enabled: Tap/click scrolls or press 1/2/3 to select, SPACE to confirm, R to reset');
+        if (!gestureReady) {
+            this.enterFallbackMode(this.gestureDetector.initError);
+            return;
+        }
+
+        this.gesturesEnabled = true;
+        document.getElementById('launch-btn').classList.add('hidden');
+        document.getElementById('gesture-banner').classList.add('hidden');
+        document.getElementById('gesture-hint').textContent = 'Make a fist, then open your palm to trigger fireworks! 🎆';
+        this.updateStatus('📷 Camera connected - gestures are on');
+    }
+
+    /**
+     * Switch to newly chosen camera settings without reloading
+     * @param {Object} settings - { deviceId, width, height, frameRate, mirror }
+     * @returns {Promise<boolean>} True if gestures are running on the new camera
+     */
+    async applyCameraSettings(settings) {
+        this.applyCameraMirror(settings.mirror);
+
+        // Replays have no camera; the settings are still saved for next time
+        if (this.landmarkReplay) return false;
+
+        // In fallback mode a new camera choice is another retry
+        if (!this.gesturesEnabled) {
+            this.gestureDetector.cameraSettings = settings;
+            await this.retryGestures();
+            return this.gesturesEnabled;
+        }
+
+        const switched = await this.gestureDetector.switchCamera(settings);
+        if (!switched) {
+            this.enterFallbackMode(this.gestureDetector.initError);
+        }
+        return switched;
+    }
+
+    /**
+     * Mirror the preview, pointer, palm and swipe directions for a user-facing camera
+     * (CameraSettings owns the setting; CONFIG only holds the defaults)
+     */
+    applyCameraMirror(mirror) {
+        this.gestureDetector.setMirror(mirror);
+        this.airPointer.mirror = mirror;
+        document.getElementById('gesture-canvas').style.transform = mirror ? 'scaleX(-1)' : 'none';
+    }
+
+    /**
+     * Tell the user something in the status line (held until start-up finishes,
+     * so the ready message doesn't hide it)
+     */
+    showNotice(text) {
+        if (this.isReady) {
+            this.updateStatus(text);
+        } else {
+            this.pendingNotice = text;
+        }
+    }
+
+    /**
+     * Human-readable reason for a gesture detector failure
+     */
+    describeGestureError(error) {
+        if (!error) return 'the gesture detector could not start';
+
+        switch (error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return 'camera permission was denied';
+            case 'NotFoundError':
+            case 'OverconstrainedError':
+                return 'no camera was found';
+            case 'NotReadableError':
+                return 'the camera is in use by another app';
+            case 'AssetLoadError':
+                return 'the hand-tracking library could not be loaded';
+            default:
+                return error.message || 'the gesture detector could not start';
+        }
     }
 
     /**
      * Handle gesture trigger (fist → open palm)
+     * @param {string} [hand] - Hand that made the gesture (undefined for keyboard/mouse)
+     * @param {Object} [palm] - Where the hand opened {x, y, size}; steers the launch
      */
-    onGestureTrigger() {
-        // Check if fireworks are already running
-        if (this.fireworksSystem.isRunning()) {
-            console.log('⚠️ Fireworks already running, ignoring trigger');
+    onGestureTrigger(hand, palm) {
+        // Respect hand role assignment (e.g. right hand launches)
+        if (hand && CONFIG.GESTURE.LAUNCH_HAND && hand !== CONFIG.GESTURE.LAUNCH_HAND) {
             return;
         }
 
-        console.log('🎆 LAUNCHING FIREWORKS!');
-        console.log('🎆 LAUNCHING FIREWORKS!');
-        this.updateStatus('🎆 新年快乐! Happy Chinese New Year!');
+        console.log(`🎆 LAUNCHING FIREWORKS!${hand ? ` (${hand} hand)` : ''}`);
 
-        // Hide any existing scrolls before fireworks
-        if (this.scrollManager.scrolls.length > 0) {
-            console.log('🎋 Hiding scrolls for fireworks...');
-            this.scrollManager.hideAll();
+        if (this.targetPointsStale) {
+            this.targetPoints = this.textConverter.convertToPoints(this.getCurrentPhrase(), this.textConverter.densityRandom());
+            this.targetPointsStale = false;
         }
 
         // Add slight jitter for organic feel
         const jitteredPoints = this.textConverter.jitterPoints(this.targetPoints, 3);
 
-        // Launch fireworks
-        this.fireworksSystem.launch(jitteredPoints);
+        // Launch fireworks (overlaps any show already in the sky), thrown from the palm if there was one
+        const show = this.fireworksSystem.launch(jitteredPoints, { palm });
+        if (!show) {
+            this.updateStatus('🎆 The sky is full - try again in a moment');
+            return;
+        }
+
+        this.updateStatus(`🎆 ${this.getCurrentPhrase()}! Happy Chinese New Year!`);
+
+        // Hide any existing scrolls before fireworks
+        if (this.scrollManager.scrolls.length > 0) {
+            console.log('🎋 Hiding scrolls for fireworks...');
+            this.scrollManager.hideAll();
+        }
         
         // Mark that fireworks have been launched
         this.fireworksLaunched = true;
+    }
+
+    /**
+     * Seeded random source from ?seed= or CONFIG.RANDOM.SEED (fresh seed if neither)
+     * Each subsystem gets its own fork so one seed reproduces each of them
+     */
+    createRandom() {
+        const param = new URLSearchParams(window.location.search).get('seed');
+        const seed = param !== null && param !== '' ? param : CONFIG.RANDOM.SEED;
+        const random = seed === null ? new Random() : new Random(seed);
+
+        console.log(`🎲 Random seed: ${random.seed} (add ?seed=${random.seed} to reproduce)`);
+        return random;
+    }
+
+    /**
+     * Load the scripted show named by ?show= or CONFIG.CHOREOGRAPHY.URL
+     * A missing or broken show file only disables shows
+     */
+    async loadShow() {
+        const url = new URLSearchParams(window.location.search).get('show') || CONFIG.CHOREOGRAPHY.URL;
+        if (!url) return;
+
+        try {
+            this.updateStatus('Loading show...');
+            await this.choreography.load(url);
+            if (CONFIG.CHOREOGRAPHY.AUTO_START) {
+                this.choreography.start();
+            }
+        } catch (error) {
+            console.error('❌ Show failed to load:', error);
+            this.updateStatus(`⚠️ Show not loaded: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start the loaded show, or continue it if it's waiting at a pause cue
+     */
+    startShow() {
+        const player = this.choreography;
+        if (!player.show) {
+            this.updateStatus('🎬 No show loaded - add ?show=shows/new-year.json to the URL');
+            return;
+        }
+
+        if (player.resume() || player.isPlaying) return;
+
+        this.fireworksLaunched = false;
+        player.start();
+        this.updateStatus(`🎬 ${player.show.name || 'Show'} starting...`);
+    }
+
+    /**
+     * Skip the playing show forwards or backwards (cues jumped over don't run)
+     * @param {number} offset - Seconds, negative to go back
+     */
+    seekShow(offset) {
+        const player = this.choreography;
+        if (!player.isPlaying) {
+            this.updateStatus('🎬 Show is not playing - press P to start it');
+            return;
+        }
 
-        // Play sound effect (optional)
-        // this.playFireworkSound();
+        player.seek(player.currentTime + offset);
+        this.fireworksLaunched = false;
+        this.updateStatus(`${offset < 0 ? '⏪' : '⏩'} ${Math.round(player.currentTime)}s / ${player.duration}s`);
+    }
+
+    /**
+     * Play the loaded show again from the beginning
+     */
+    restartShow() {
+        this.fireworksLaunched = false;
+        this.choreography.start();
+        this.updateStatus(`🎬 ${this.choreography.show.name || 'Show'} restarting...`);
+    }
+
+    /**
+     * Get the phrase the next launch will spell
+     */
+    getCurrentPhrase() {
+        return CONFIG.TEXT.PHRASES[this.phraseIndex] || CONFIG.TEXT.CONTENT;
+    }
+
+    /**
+     * Switch to the next/previous fireworks phrase (swipe left/right)
+     * Text already in the sky morphs straight into the new phrase
+     * @param {number} step - +1 for next, -1 for previous
+     */
+    cyclePhrase(step) {
+        const phrases = CONFIG.TEXT.PHRASES;
+        this.phraseIndex = (this.phraseIndex + step + phrases.length) % phrases.length;
+        this.targetPoints = this.textConverter.convertToPoints(this.getCurrentPhrase());
+        this.targetPointsStale = false;
+
+        console.log(`🔁 Fireworks phrase: ${this.getCurrentPhrase()}`);
+        if (this.fireworksSystem.morphTo(this.textConverter.jitterPoints(this.targetPoints, 3))) {
+            this.updateStatus(`🎆 ${this.getCurrentPhrase()}!`);
+        } else {
+            this.updateStatus(`🎆 Next: ${this.getCurrentPhrase()} - open your palm to launch`);
+        }
     }
 
     /**
      * Handle finger count change for scroll selection
      * Auto-confirms selection when showing 1, 2, or 3 fingers
      * @param {number} scrollIndex - Index of scroll to select (0, 1, or 2)
+     * @param {string} [hand] - Hand that showed the fingers
      */
-    onFingerCountChange(scrollIndex) {
+    onFingerCountChange(scrollIndex, hand) {
+        // Pointing with one finger would read as "1 finger" - the pointer owns selection
+        if (this.airPointer.enabled) {
+            return;
+        }
+
+        // Respect hand role assignment (e.g. left hand picks the scroll)
+        if (hand && CONFIG.GESTURE.SELECT_HAND && hand !== CONFIG.GESTURE.SELECT_HAND) {
+            return;
+        }
+
         // Only respond to finger count when scrolls are in selection mode
         if (this.scrollManager.state === 'IDLE' || this.scrollManager.state === 'SELECTING') {
             this.scrollManager.selectScroll(scrollIndex);
@@ -224,15 +655,17 @@ class CNYFireworksApp {
      * Handle fist gesture (used for fireworks trigger only)
      * No longer used for scroll selection confirmation
      */
-    onFistGesture() {
+    onFistGesture(hand) {
         // Fist gesture is now only used for fireworks (via fist-to-open palm)
         // Scroll selection is auto-confirmed when showing fingers
     }
 
     /**
      * Handle gesture state change
+     * @param {string} state - FIST, OPEN or UNKNOWN
+     * @param {string} [hand] - Hand whose state changed
      */
-    onGestureStateChange(state) {
+    onGestureStateChange(state, hand) {
         const stateEmojis = {
             'FIST': '✊',
             'OPEN': '🖐️',
@@ -242,7 +675,7 @@ class CNYFireworksApp {
         const emoji = stateEmojis[state] || '';
         
         if (CONFIG.DEBUG.LOG_GESTURES) {
-            console.log(`Gesture state: ${state} ${emoji}`);
+            console.log(`Gesture state (${hand} hand): ${state} ${emoji}`);
         }
 
         // Update hint based on state and scroll status
@@ -261,7 +694,8 @@ class CNYFireworksApp {
             } else {
                 hintElement.textContent = '🖐️ Palm open - close to fist to reset ✊';
             }
-        } else {
+        } else if (this.gestureDetector.getTrackedHands().length === 0) {
+            // Only once every hand has left (another may still be in view)
             hintElement.textContent = 'Show your hand to the camera 👋';
         }
     }
@@ -277,11 +711,14 @@ class CNYFireworksApp {
         // Get delta time
         const deltaTime = this.sceneManager.getDeltaTime();
 
-        // Update fireworks
+        // Scripted show cues, then fireworks on the same clock
+        this.choreography.update(deltaTime);
         this.fireworksSystem.update(deltaTime);
 
         // Sequence: After fireworks complete, show three scrolls for selection
+        // (a playing show brings in scrolls with its own cues)
         if (this.fireworksLaunched && 
+            !this.choreography.isPlaying &&
             !this.fireworksSystem.isAnimating && 
             this.scrollManager.scrolls.length === 0) {
             
@@ -291,13 +728,22 @@ class CNYFireworksApp {
                 this.fireworksLaunched = false;
                 
                 // Show selection instructions
-                this.updateStatus('Show 1, 2 or 3 fingers to select correspondingly');
+                this.updateStatus(this.gesturesEnabled
+                    ? 'Show 1, 2 or 3 fingers to select correspondingly'
+                    : 'Tap a scroll (or press 1, 2 or 3) to choose your fortune');
             }, CONFIG.SCROLL.DELAY_AFTER_FIREWORKS * 1000);
         }
 
         // Update scroll manager
         this.scrollManager.update(deltaTime);
 
+        // Update fingertip cursor hover / dwell
+        this.airPointer.update(deltaTime);
+
+        // Developer stats, then step quality on the measured frame times
+        this.debugHud.update(deltaTime);
+        this.qualityGovernor.update(deltaTime);
+
         // Render scene
         this.sceneManager.render();
     }
@@ -324,6 +770,27 @@ class CNYFireworksApp {
         }
     }
 
+    /**
+     * Keep the loading screen up and show what went wrong
+     */
+    showLoadingError(message) {
+        const loadingScreen = document.getElementById('loading-screen');
+        if (loadingScreen) {
+            loadingScreen.classList.add('error');
+        }
+        this.updateLoadingText(`❌ ${message}`);
+    }
+
+    /**
+     * Update the message under the loading spinner
+     */
+    updateLoadingText(text) {
+        const loadingText = document.getElementById('loading-text');
+        if (loadingText) {
+            loadingText.textContent = text;
+        }
+    }
+
     /**
      * Toggle debug visualization
      */
@@ -333,12 +800,30 @@ class CNYFireworksApp {
         canvas.style.display = CONFIG.DEBUG.SHOW_GESTURE_CANVAS ? 'block' : 'none';
     }
 
+    /**
+     * Start or stop recording hand landmarks (saves JSON when stopped)
+     */
+    toggleRecording() {
+        if (this.landmarkRecorder.isRecording) {
+            this.landmarkRecorder.stop();
+            this.landmarkRecorder.download();
+            this.updateStatus('💾 Gesture recording saved');
+        } else {
+            this.landmarkRecorder.start(this.gestureDetector.frameAspect);
+            this.updateStatus('⏺️ Recording gestures... open the menu again to stop');
+        }
+        return this.landmarkRecorder.isRecording;
+    }
+
     /**
      * Cleanup
      */
     dispose() {
+        if (this.landmarkReplay) this.landmarkReplay.stop();
+        if (this.inputRouter) this.inputRouter.dispose();
         if (this.gestureDetector) this.gestureDetector.dispose();
         if (this.fireworksSystem) this.fireworksSystem.dispose();
+        if (this.audioEngine) this.audioEngine.dispose();
         if (this.sceneManager) this.sceneManager.dispose();
     }
 }
@@ -359,4 +844,10 @@ window.toggleDebug = () => {
     }
 };
 
+window.toggleHud = () => {
+    if (window.app && window.app.debugHud) {
+        window.app.debugHud.toggle();
+    }
+};
+
 export default CNYFireworksApp;
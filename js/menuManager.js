@@ -14,6 +14,16 @@ export class MenuManager {
         this.bgUpload = null;
         this.defaultBackground = '../images/backdrop.jpeg';
         
+        // Callbacks (set by the app)
+        this.onToggleRecording = null; // Start/stop landmark recording, returns new recording state
+        this.onToggleAirPointer = null; // Toggle fingertip pointer mode, returns new enabled state
+        this.onOpenCalibration = null; // Open the gesture calibration wizard
+        this.onOpenCameraSettings = null; // Open the camera device / resolution panel
+        this.onToggleHud = null; // Show/hide the developer HUD, returns new visibility
+        this.onToggleMute = null; // Mute/unmute sound, returns new muted state
+        this.onVolumeChange = null; // Volume slider moved (0-1)
+        this.onToggleMusic = null; // Start/stop the music bed, returns new music state
+        
         this.init();
     }
 
@@ -29,6 +39,7 @@ export class MenuManager {
         this.commandInput = document.getElementById('command-input');
         this.commandItems = document.querySelectorAll('.command-item');
         this.bgUpload = document.getElementById('bg-upload');
+        this.volumeSlider = document.getElementById('volume-slider');
 
         // Set up event listeners
         this.setupEventListeners();
@@ -67,6 +78,14 @@ export class MenuManager {
             });
         });
 
+        // Volume slider (inside the Sound item, so don't toggle mute too)
+        this.volumeSlider.addEventListener('click', (e) => e.stopPropagation());
+        this.volumeSlider.addEventListener('input', () => {
+            if (this.onVolumeChange) {
+                this.onVolumeChange(this.volumeSlider.value / 100);
+            }
+        });
+
         // Search input filtering
         this.commandInput.addEventListener('input', (e) => {
             this.filterCommands(e.target.value);
@@ -77,30 +96,7 @@ export class MenuManager {
             this.handleBackgroundUpload(e);
         });
 
-        // Close palette with Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.paletteOverlay.classList.contains('visible')) {
-                this.closePalette();
-            }
-            
-            // Keyboard shortcuts (⌘/Ctrl + Key)
-            if ((e.metaKey || e.ctrlKey) && this.paletteOverlay.classList.contains('visible')) {
-                switch(e.key.toLowerCase()) {
-                    case 'b':
-                        e.preventDefault();
-                        this.triggerBackgroundUpload();
-                        break;
-                    case 'r':
-                        e.preventDefault();
-                        this.resetBackground();
-                        break;
-                    case 'g':
-                        e.preventDefault();
-                        this.openGitHub();
-                        break;
-                }
-            }
-        });
+        // Escape and ⌘/Ctrl shortcuts are routed by InputRouter (CONFIG.INPUT.KEYBOARD)
     }
 
     /**
@@ -118,6 +114,13 @@ export class MenuManager {
         console.log('📂 Command Palette opened');
     }
 
+    /**
+     * Check whether the command palette is showing
+     */
+    isOpen() {
+        return this.paletteOverlay.classList.contains('visible');
+    }
+
     /**
      * Close command palette
      */
@@ -149,6 +152,40 @@ export class MenuManager {
             case 'view-source':
                 this.openGitHub();
                 break;
+            case 'record-gestures':
+                this.toggleRecording(item);
+                break;
+            case 'toggle-air-pointer':
+                this.toggleAirPointer(item);
+                break;
+            case 'toggle-mute':
+                if (this.onToggleMute) {
+                    this.setSoundState({ muted: this.onToggleMute() });
+                }
+                break;
+            case 'toggle-music':
+                if (this.onToggleMusic) {
+                    this.setSoundState({ music: this.onToggleMusic() });
+                }
+                break;
+            case 'toggle-hud':
+                if (this.onToggleHud) {
+                    this.onToggleHud();
+                }
+                this.closePalette();
+                break;
+            case 'camera-settings':
+                this.closePalette();
+                if (this.onOpenCameraSettings) {
+                    this.onOpenCameraSettings();
+                }
+                break;
+            case 'calibrate-gestures':
+                this.closePalette();
+                if (this.onOpenCalibration) {
+                    this.onOpenCalibration();
+                }
+                break;
         }
     }
 
@@ -177,6 +214,50 @@ export class MenuManager {
         this.bgUpload.click();
     }
 
+    /**
+     * Start/stop gesture landmark recording
+     */
+    toggleRecording(item) {
+        if (!this.onToggleRecording) return;
+
+        const isRecording = this.onToggleRecording();
+        item.querySelector('h4').textContent = isRecording ? 'Stop Recording' : 'Record Gestures';
+        this.closePalette();
+    }
+
+    /**
+     * Toggle fingertip air-pointer mode
+     */
+    toggleAirPointer(item) {
+        if (!this.onToggleAirPointer) return;
+
+        const isEnabled = this.onToggleAirPointer();
+        item.querySelector('p').textContent = isEnabled
+            ? 'On - point at a scroll, hold or pinch to choose'
+            : 'Off - select scrolls by showing 1-3 fingers';
+        this.closePalette();
+    }
+
+    /**
+     * Show sound settings in the Sound / Festive Music items
+     * @param {Object} state - Any of { muted, volume, music }
+     */
+    setSoundState({ muted, volume, music }) {
+        if (muted !== undefined) {
+            document.querySelector('[data-action="toggle-mute"] p').textContent = muted
+                ? 'Muted - click to unmute'
+                : 'On - click to mute';
+        }
+        if (volume !== undefined) {
+            this.volumeSlider.value = Math.round(volume * 100);
+        }
+        if (music !== undefined) {
+            document.querySelector('[data-action="toggle-music"] p').textContent = music
+                ? 'On - synthesized festive tune'
+                : 'Off - play a synthesized festive tune';
+        }
+    }
+
     /**
      * Open GitHub repository
      */
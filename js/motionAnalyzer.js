@@ -0,0 +1,194 @@
+/**
+ * MotionAnalyzer.js
+ * Detects motion gestures (swipes and waves) from a short history of wrist
+ * and palm-centre positions
+ */
+
+import { CONFIG } from './config.js';
+
+export class MotionAnalyzer {
+    constructor() {
+        this.histories = new Map(); // hand → [{ t, palm: {x, y}, wrist: {x, y} }]
+        this.pending = new Map();   // hand → swipe waiting to be sure it isn't the start of a wave
+        this.lastMotionTime = new Map();
+        this.mirror = CONFIG.CAMERA.MIRROR; // Set from CameraSettings via GestureDetector.setMirror
+
+        // Callback: (name, hand, timestamp) with name in
+        // swipeLeft / swipeRight / swipeUp / swipeDown / wave
+        this.onMotion = null;
+    }
+
+    /**
+     * Add one frame of landmarks for a hand
+     * @param {string} hand - Hand label
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @param {number} now - Frame time (ms)
+     * @param {number} frameAspect - Camera width / height (keeps x and y in the same units)
+     */
+    addFrame(hand, landmarks, now, frameAspect) {
+        // Palm centre: wrist + the four finger MCPs
+        const palmIndices = [0, 5, 9, 13, 17];
+        const palm = { x: 0, y: 0 };
+        palmIndices.forEach(index => {
+            palm.x += landmarks[index].x * frameAspect / palmIndices.length;
+            palm.y += landmarks[index].y / palmIndices.length;
+        });
+        const wrist = { x: landmarks[0].x * frameAspect, y: landmarks[0].y };
+
+        if (!this.histories.has(hand)) {
+            this.histories.set(hand, []);
+        }
+        const history = this.histories.get(hand);
+        history.push({ t: now, palm, wrist });
+
+        // Keep only the analysis window
+        const windowMs = Math.max(CONFIG.MOTION.SWIPE_WINDOW_MS, CONFIG.MOTION.WAVE_WINDOW_MS);
+        while (history.length > 0 && now - history[0].t > windowMs) {
+            history.shift();
+        }
+
+        this.analyze(hand, history, now);
+    }
+
+    /**
+     * Forget a hand that left the frame
+     */
+    clearHand(hand) {
+        this.histories.delete(hand);
+        this.pending.delete(hand);
+    }
+
+    /**
+     * Drop everything kept for a hand, cooldown included (it has expired)
+     */
+    forgetHand(hand) {
+        this.clearHand(hand);
+        this.lastMotionTime.delete(hand);
+    }
+
+    /**
+     * Look for waves first, then swipes
+     */
+    analyze(hand, history, now) {
+        const lastMotion = this.lastMotionTime.has(hand) ? this.lastMotionTime.get(hand) : -Infinity;
+        if (now - lastMotion < CONFIG.MOTION.COOLDOWN_MS) return;
+
+        if (this.detectWave(history, now)) {
+            // A wave swallows any swipe it started with
+            this.pending.delete(hand);
+            this.fire('wave', hand, now);
+            return;
+        }
+
+        const current = history[history.length - 1].palm;
+        const pending = this.pending.get(hand);
+        if (pending) {
+            // Swinging back straight away means this stroke was the start of a wave
+            const backtrack = -((current.x - pending.x) * pending.ux + (current.y - pending.y) * pending.uy);
+            if (backtrack > CONFIG.MOTION.WAVE_MIN_AMPLITUDE) {
+                this.pending.delete(hand);
+            } else if (now - pending.t >= CONFIG.MOTION.SWIPE_SETTLE_MS) {
+                // Fired now (not when the stroke began) so the cooldown runs from the event
+                this.pending.delete(hand);
+                this.fire(pending.name, hand, now);
+            }
+            return;
+        }
+
+        const swipe = this.detectSwipe(history, now);
+        if (swipe) {
+            this.pending.set(hand, { ...swipe, t: now, x: current.x, y: current.y });
+        }
+    }
+
+    /**
+     * Detect a fast, mostly straight stroke of the whole hand
+     * @returns {Object|null} { name, ux, uy } swipe name and unit direction
+     */
+    detectSwipe(history, now) {
+        const recent = history.filter(sample => now - sample.t <= CONFIG.MOTION.SWIPE_WINDOW_MS);
+        if (recent.length < 3) return null;
+
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const duration = (last.t - first.t) / 1000;
+        if (duration <= 0) return null;
+
+        const dx = last.palm.x - first.palm.x;
+        const dy = last.palm.y - first.palm.y;
+        const distance = Math.hypot(dx, dy);
+        const speed = distance / duration;
+
+        if (distance < CONFIG.MOTION.SWIPE_MIN_DISTANCE || speed < CONFIG.MOTION.SWIPE_MIN_SPEED) {
+            return null;
+        }
+
+        // The wrist must travel too - flicking only the fingers isn't a swipe
+        const wristDx = last.wrist.x - first.wrist.x;
+        const wristDy = last.wrist.y - first.wrist.y;
+        if ((wristDx * dx + wristDy * dy) / distance < distance * 0.5) {
+            return null;
+        }
+
+        // Require a clearly dominant axis
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const major = horizontal ? Math.abs(dx) : Math.abs(dy);
+        const minor = horizontal ? Math.abs(dy) : Math.abs(dx);
+        if (minor > major * CONFIG.MOTION.SWIPE_MAX_OFF_AXIS) return null;
+
+        let name;
+        if (horizontal) {
+            // Camera x grows to the user's left when the preview is mirrored
+            const towardCameraRight = dx > 0;
+            name = towardCameraRight !== this.mirror ? 'swipeRight' : 'swipeLeft';
+        } else {
+            name = dy < 0 ? 'swipeUp' : 'swipeDown';
+        }
+        return { name, ux: dx / distance, uy: dy / distance };
+    }
+
+    /**
+     * Detect a side-to-side wave: several horizontal direction reversals
+     * @returns {boolean}
+     */
+    detectWave(history, now) {
+        const recent = history.filter(sample => now - sample.t <= CONFIG.MOTION.WAVE_WINDOW_MS);
+        if (recent.length < 5) return false;
+
+        const amplitude = CONFIG.MOTION.WAVE_MIN_AMPLITUDE;
+        let reversals = 0;
+        let direction = 0;                 // +1 / -1 once the first stroke is clear
+        let extreme = recent[0].palm.x;    // Furthest x reached in the current stroke
+
+        recent.forEach(({ palm }) => {
+            if (direction === 0) {
+                if (Math.abs(palm.x - extreme) > amplitude) {
+                    direction = Math.sign(palm.x - extreme);
+                    extreme = palm.x;
+                }
+            } else if ((palm.x - extreme) * direction > 0) {
+                // Still moving the same way
+                extreme = palm.x;
+            } else if (Math.abs(palm.x - extreme) > amplitude) {
+                // Came back far enough from the last extreme: a reversal
+                reversals++;
+                direction = -direction;
+                extreme = palm.x;
+            }
+        });
+
+        return reversals >= CONFIG.MOTION.WAVE_MIN_REVERSALS;
+    }
+
+    /**
+     * Emit a motion gesture and reset the hand's history
+     */
+    fire(name, hand, timestamp) {
+        this.lastMotionTime.set(hand, timestamp);
+        this.histories.set(hand, []);
+
+        if (this.onMotion) {
+            this.onMotion(name, hand, timestamp);
+        }
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * OneEuroFilter.js
+ * One Euro filter (Casiez et al.) - an adaptive low-pass filter that smooths
+ * jitter when a signal is slow and reduces lag when it moves fast
+ */
+
+export class OneEuroFilter {
+    /**
+     * @param {number} minCutoff - Cutoff frequency (Hz) at rest; lower = smoother
+     * @param {number} beta - Speed coefficient; higher = less lag on fast moves
+     * @param {number} dCutoff - Cutoff frequency (Hz) for the derivative
+     */
+    constructor(minCutoff = 1.0, beta = 0, dCutoff = 1.0) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    /**
+     * Forget previous samples
+     */
+    reset() {
+        this.prevValue = null;
+        this.prevDerivative = 0;
+        this.prevTime = null;
+    }
+
+    /**
+     * Smoothing factor for a cutoff frequency and time step
+     */
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Filter one sample
+     * @param {number} value - Raw value
+     * @param {number} time - Sample time (seconds)
+     * @returns {number} Filtered value
+     */
+    filter(value, time) {
+        // Start over on the first sample or if time went backwards (e.g. a replay restarted)
+        if (this.prevTime === null || time < this.prevTime) {
+            this.prevValue = value;
+            this.prevTime = time;
+            return value;
+        }
+
+        const dt = time - this.prevTime;
+        if (dt === 0) return this.prevValue;
+
+        // Smoothed speed decides how aggressively to follow the signal
+        const derivative = (value - this.prevValue) / dt;
+        const smoothedDerivative = this.prevDerivative +
+            this.alpha(this.dCutoff, dt) * (derivative - this.prevDerivative);
+        const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+        const filtered = this.prevValue + this.alpha(cutoff, dt) * (value - this.prevValue);
+
+        this.prevValue = filtered;
+        this.prevDerivative = smoothedDerivative;
+        this.prevTime = time;
+        return filtered;
+    }
+}
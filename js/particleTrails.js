@@ -0,0 +1,208 @@
+/**
+ * ParticleTrails.js
+ * Motion trails for FireworksSystem particles: a ring buffer of recent
+ * positions per particle, drawn as line segments fading towards the tail
+ */
+
+import { CONFIG } from './config.js';
+
+export class ParticleTrails {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} capacity - Particle pool size (indices match FireworksSystem)
+     */
+    constructor(scene, capacity) {
+        this.scene = scene;
+        this.capacity = capacity;
+
+        const settings = CONFIG.FIREWORKS.TRAILS;
+        this.length = Math.max(2, Math.min(settings.LENGTH, 255));
+        this.interval = settings.SAMPLE_INTERVAL;
+        this.trailCapacity = settings.MAX_TRAILS;  // Trails the buffers have room for
+        this.maxTrails = settings.MAX_TRAILS;      // Trails drawn per frame (see setLimit)
+        this.opacity = settings.OPACITY;
+
+        // Ring buffer of past positions, `length` samples per particle
+        this.history = new Float32Array(capacity * this.length * 3);
+        this.head = new Uint8Array(capacity);           // Slot holding the newest sample
+        this.count = new Uint8Array(capacity);          // Valid samples
+        this.sampleTimer = new Float32Array(capacity);
+
+        // Per-frame bookkeeping
+        this.vertexCount = 0;
+        this.drawnTrails = 0;
+        this.candidates = 0;    // Particles that wanted a trail this frame
+        this.stride = 1;        // Draw every Nth candidate when over MAX_TRAILS
+
+        this.createMesh();
+    }
+
+    /**
+     * Create the line mesh (two vertices per segment, `length` segments per trail)
+     */
+    createMesh() {
+        const vertices = this.trailCapacity * this.length * 2;
+        this.linePositions = new Float32Array(vertices * 3);
+        this.lineColors = new Float32Array(vertices * 3);
+
+        const geometry = new THREE.BufferGeometry();
+        const position = new THREE.BufferAttribute(this.linePositions, 3);
+        const color = new THREE.BufferAttribute(this.lineColors, 3);
+        position.setUsage(THREE.DynamicDrawUsage);
+        color.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', position);
+        geometry.setAttribute('color', color);
+        geometry.setDrawRange(0, 0);
+
+        // Additive, so darker vertex colours read as more transparent
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            fog: true
+        });
+
+        this.mesh = new THREE.LineSegments(geometry, material);
+        this.mesh.frustumCulled = false; // Bounds change every frame
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Start a frame (call before tracing particles)
+     */
+    begin() {
+        this.stride = this.maxTrails > 0 ? Math.max(1, Math.ceil(this.candidates / this.maxTrails)) : 1;
+        this.vertexCount = 0;
+        this.drawnTrails = 0;
+        this.candidates = 0;
+    }
+
+    /**
+     * Draw at most `count` trails per frame (capped at MAX_TRAILS)
+     */
+    setLimit(count) {
+        this.maxTrails = Math.max(0, Math.min(count, this.trailCapacity));
+    }
+
+    /**
+     * Forget a particle's history (new particle, or one leaving a trailed phase)
+     */
+    clear(i) {
+        this.count[i] = 0;
+        this.sampleTimer[i] = 0;
+    }
+
+    /**
+     * Record a particle's position and draw its trail
+     * @param {number} i - Particle index
+     * @param {Float32Array} positions - FireworksSystem positions
+     * @param {Float32Array} colors - FireworksSystem colours
+     * @param {number} alpha - Particle's drawn alpha
+     * @param {number} deltaTime - Time since last frame (seconds)
+     * @param {boolean} [always] - Skip thinning (for the few, important rising shells)
+     */
+    trace(i, positions, colors, alpha, deltaTime, always = false) {
+        // Trails turned off: keep no history, so none is stale when they come back
+        if (this.maxTrails === 0) {
+            this.count[i] = 0;
+            return;
+        }
+
+        const length = this.length;
+        const i3 = i * 3;
+        const x = positions[i3];
+        const y = positions[i3 + 1];
+        const z = positions[i3 + 2];
+
+        // Sample into the ring buffer
+        this.sampleTimer[i] += deltaTime;
+        if (this.count[i] === 0 || this.sampleTimer[i] >= this.interval) {
+            const head = (this.head[i] + 1) % length;
+            const h3 = (i * length + head) * 3;
+            this.history[h3] = x;
+            this.history[h3 + 1] = y;
+            this.history[h3 + 2] = z;
+            this.head[i] = head;
+            if (this.count[i] < length) this.count[i]++;
+            this.sampleTimer[i] = 0;
+        }
+
+        // Over budget: thin evenly by index rather than dropping whole shows
+        this.candidates++;
+        if (!always && i % this.stride !== 0) return;
+        if (this.drawnTrails >= this.maxTrails || alpha <= 0) return;
+        this.drawnTrails++;
+
+        // Segments from the particle back through its samples, newest first
+        const r = colors[i3] * alpha * this.opacity;
+        const g = colors[i3 + 1] * alpha * this.opacity;
+        const b = colors[i3 + 2] * alpha * this.opacity;
+        let px = x;
+        let py = y;
+        let pz = z;
+        let fade = 1;
+
+        for (let s = 0; s < this.count[i]; s++) {
+            const slot = (this.head[i] - s + length) % length;
+            const s3 = (i * length + slot) * 3;
+            const nextFade = 1 - (s + 1) / length;
+
+            this.writeVertex(px, py, pz, r * fade, g * fade, b * fade);
+            px = this.history[s3];
+            py = this.history[s3 + 1];
+            pz = this.history[s3 + 2];
+            this.writeVertex(px, py, pz, r * nextFade, g * nextFade, b * nextFade);
+            fade = nextFade;
+        }
+    }
+
+    /**
+     * Append one line vertex
+     */
+    writeVertex(x, y, z, r, g, b) {
+        const v3 = this.vertexCount * 3;
+        this.linePositions[v3] = x;
+        this.linePositions[v3 + 1] = y;
+        this.linePositions[v3 + 2] = z;
+        this.lineColors[v3] = r;
+        this.lineColors[v3 + 1] = g;
+        this.lineColors[v3 + 2] = b;
+        this.vertexCount++;
+    }
+
+    /**
+     * Finish a frame and upload the segments
+     */
+    end() {
+        const geometry = this.mesh.geometry;
+        geometry.setDrawRange(0, this.vertexCount);
+        if (this.vertexCount === 0) return;
+
+        // Upload only the part of the buffers written this frame
+        ['position', 'color'].forEach(name => {
+            const attribute = geometry.attributes[name];
+            attribute.addUpdateRange(0, this.vertexCount * 3);
+            attribute.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Hide every trail
+     */
+    reset() {
+        this.count.fill(0);
+        this.candidates = 0;
+        this.vertexCount = 0;
+        this.mesh.geometry.setDrawRange(0, 0);
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
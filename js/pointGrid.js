@@ -0,0 +1,115 @@
+/**
+ * PointGrid.js
+ * Uniform 2D grid over a set of points for nearest-neighbour lookups,
+ * optionally removing each point as it's taken (greedy matching)
+ */
+
+export class PointGrid {
+    /**
+     * @param {Float32Array|Array<number>} xs - X of each point
+     * @param {Float32Array|Array<number>} ys - Y of each point
+     */
+    constructor(xs, ys) {
+        this.xs = xs;
+        this.ys = ys;
+        this.count = xs.length;
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (let i = 0; i < this.count; i++) {
+            minX = Math.min(minX, xs[i]);
+            minY = Math.min(minY, ys[i]);
+            maxX = Math.max(maxX, xs[i]);
+            maxY = Math.max(maxY, ys[i]);
+        }
+
+        // About two points per cell
+        const area = Math.max(maxX - minX, 1) * Math.max(maxY - minY, 1);
+        this.cellSize = Math.max(Math.sqrt(area / Math.max(this.count, 1) * 2), 1);
+        this.minX = minX;
+        this.minY = minY;
+        this.cols = Math.floor((maxX - minX) / this.cellSize) + 1;
+        this.rows = Math.floor((maxY - minY) / this.cellSize) + 1;
+
+        this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+        for (let i = 0; i < this.count; i++) {
+            this.cells[this.cellIndex(this.cellCol(xs[i]), this.cellRow(ys[i]))].push(i);
+        }
+        this.remaining = this.count;
+    }
+
+    cellCol(x) {
+        return Math.min(Math.max(Math.floor((x - this.minX) / this.cellSize), 0), this.cols - 1);
+    }
+
+    cellRow(y) {
+        return Math.min(Math.max(Math.floor((y - this.minY) / this.cellSize), 0), this.rows - 1);
+    }
+
+    cellIndex(col, row) {
+        return row * this.cols + col;
+    }
+
+    /**
+     * Index of the point nearest (x, y), searching outwards ring by ring
+     * @param {boolean} [take] - Remove the point so it can't be matched again
+     * @returns {number} Point index, or -1 if none are left
+     */
+    nearest(x, y, take = false) {
+        if (this.remaining === 0) return -1;
+
+        const col = this.cellCol(x);
+        const row = this.cellRow(y);
+        const maxRing = Math.max(this.cols, this.rows);
+        let best = -1;
+        let bestCell = null;
+        let bestSlot = -1;
+        let bestDistance = Infinity;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Nothing in this ring or beyond can beat the best so far
+            const ringDistance = (ring - 1) * this.cellSize;
+            if (best !== -1 && ringDistance > 0 && ringDistance * ringDistance > bestDistance) break;
+
+            for (let r = row - ring; r <= row + ring; r++) {
+                if (r < 0 || r >= this.rows) continue;
+
+                // Full rows at the ring's top and bottom, just the two ends in between
+                const step = r === row - ring || r === row + ring ? 1 : Math.max(ring * 2, 1);
+                for (let c = col - ring; c <= col + ring; c += step) {
+                    if (c < 0 || c >= this.cols) continue;
+
+                    const cell = this.cells[this.cellIndex(c, r)];
+                    for (let slot = 0; slot < cell.length; slot++) {
+                        const i = cell[slot];
+                        const dx = this.xs[i] - x;
+                        const dy = this.ys[i] - y;
+                        const distance = dx * dx + dy * dy;
+                        if (distance < bestDistance) {
+                            best = i;
+                            bestCell = cell;
+                            bestSlot = slot;
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (take && best !== -1) {
+            bestCell[bestSlot] = bestCell[bestCell.length - 1];
+            bestCell.pop();
+            this.remaining--;
+        }
+        return best;
+    }
+
+    /**
+     * Take (remove and return) the point nearest (x, y)
+     */
+    take(x, y) {
+        return this.nearest(x, y, true);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * QualityGovernor.js
+ * Adaptive quality: samples frame times from the animate loop and steps
+ * through CONFIG.PERFORMANCE.QUALITY.LEVELS (pixel ratio, antialiasing, text
+ * density, burst stars, trails) to hold TARGET_FPS
+ */
+
+import { CONFIG } from './config.js';
+
+const MAX_FRAME_SECONDS = 0.25;     // Longer frames (hidden tab, shader compile) aren't measured
+
+export class QualityGovernor {
+    /**
+     * @param {SceneManager} sceneManager
+     * @param {FireworksSystem} fireworksSystem
+     */
+    constructor(sceneManager, fireworksSystem) {
+        this.sceneManager = sceneManager;
+        this.fireworksSystem = fireworksSystem;
+
+        const settings = CONFIG.PERFORMANCE.QUALITY;
+        this.levels = settings.LEVELS;
+        this.enabled = settings.ENABLED;
+        this.level = QualityGovernor.getStartLevel();
+
+        // Current measurement window
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.skipWindow = true;     // The first window includes start-up work
+        this.fps = 0;               // Average of the last full window
+
+        // Upgrades wait for a run of good windows, longer each time one has to be undone
+        this.goodTime = 0;
+        this.upgradeDelay = settings.UPGRADE_DELAY;
+        this.lastStep = 0;          // +1 after an upgrade, -1 after a downgrade
+
+        // Callbacks
+        this.onChange = null;       // (level, previousLevel)
+    }
+
+    /**
+     * Level to start at: CONFIG's START_LEVEL, or a guess from the device
+     * @returns {number} Index into LEVELS
+     */
+    static getStartLevel() {
+        const settings = CONFIG.PERFORMANCE.QUALITY;
+        const top = settings.LEVELS.length - 1;
+        if (typeof settings.START_LEVEL === 'number') {
+            return Math.max(0, Math.min(settings.START_LEVEL, top));
+        }
+
+        // navigator.deviceMemory is Chrome-only; missing values don't count against the device
+        const memory = navigator.deviceMemory || 8;
+        const cores = navigator.hardwareConcurrency || 8;
+        const touch = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+
+        if (memory <= 2 || cores <= 2) return 0;
+        if (touch || memory <= 4 || cores <= 4) return Math.min(1, top);
+        return top;
+    }
+
+    /**
+     * Current level settings
+     */
+    getLevel() {
+        return this.levels[this.level];
+    }
+
+    /**
+     * Push the current level's settings to the renderer, fireworks and text sampling
+     */
+    apply() {
+        const level = this.getLevel();
+
+        this.sceneManager.setPixelRatio(level.pixelRatio);
+        this.sceneManager.setAntialias(level.antialias);
+        CONFIG.TEXT.SAMPLE_DENSITY = level.sampleDensity;
+        CONFIG.PERFORMANCE.MAX_PARTICLES = level.maxParticles;
+        this.fireworksSystem.starDensity = level.stars;
+        this.fireworksSystem.setTrailLimit(level.trails);
+    }
+
+    /**
+     * Switch to a level and apply it
+     * @param {number} index - Index into LEVELS
+     */
+    setLevel(index) {
+        index = Math.max(0, Math.min(index, this.levels.length - 1));
+        if (index === this.level) return;
+
+        const previous = this.getLevel();
+        this.lastStep = Math.sign(index - this.level);
+        this.level = index;
+        this.apply();
+
+        this.goodTime = 0;
+        console.log(`🖥️ Quality ${previous.name} → ${this.getLevel().name} (${this.fps.toFixed(0)} fps)`);
+
+        if (this.onChange) {
+            this.onChange(this.getLevel(), previous);
+        }
+    }
+
+    /**
+     * Record a frame and step quality at the end of each window (called every render frame)
+     * @param {number} deltaTime - Time since last frame (seconds)
+     */
+    update(deltaTime) {
+        if (!this.enabled || deltaTime > MAX_FRAME_SECONDS) return;
+
+        const settings = CONFIG.PERFORMANCE.QUALITY;
+        this.windowTime += deltaTime;
+        this.windowFrames++;
+        if (this.windowTime < settings.SAMPLE_SECONDS) return;
+
+        const windowTime = this.windowTime;
+        const fps = this.windowFrames / windowTime;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        if (this.skipWindow) {
+            this.skipWindow = false;
+            return;
+        }
+        this.fps = fps;
+
+        const target = CONFIG.PERFORMANCE.TARGET_FPS;
+        if (fps < target * settings.DOWNGRADE_RATIO) {
+            if (this.level === 0) return;
+
+            // The last upgrade was too much: wait longer before trying it again
+            if (this.lastStep > 0) {
+                this.upgradeDelay *= 2;
+            }
+            this.setLevel(this.level - 1);
+        } else if (fps >= target * settings.UPGRADE_RATIO) {
+            this.goodTime += windowTime;
+            if (this.goodTime >= this.upgradeDelay && this.level < this.levels.length - 1) {
+                this.setLevel(this.level + 1);
+            }
+        } else {
+            this.goodTime = 0;
+        }
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Random.js
+ * Seedable pseudo-random numbers (mulberry32), so one seed reproduces the
+ * same point cloud, launch trajectories and fortune draw
+ */
+
+export class Random {
+    /**
+     * @param {number|string} [seed] - Integer, or any string (hashed); a fresh seed if omitted
+     */
+    constructor(seed = Random.createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Pick a new seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a seed ("1234" and 1234 are the same seed)
+     */
+    setSeed(seed) {
+        const text = String(seed).trim();
+        this.seed = /^\d+$/.test(text) ? Number(text) : text;
+        this.state = typeof this.seed === 'number' ? this.seed >>> 0 : Random.hash(text);
+    }
+
+    /**
+     * Independent sequence for one subsystem, derived from the seed alone, so
+     * e.g. the fortune draw doesn't depend on how many numbers the fireworks used
+     * @param {string} name - Stream name ('text', 'fireworks', ...)
+     * @returns {Random}
+     */
+    fork(name) {
+        return new Random(`${this.seed}:${name}`);
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Number in [-amount / 2, amount / 2), for jitter around a point
+     */
+    spread(amount) {
+        return (this.next() - 0.5) * amount;
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Set a THREE.Vector3 to a uniformly random unit direction
+     * (seeded replacement for Vector3.randomDirection)
+     * @returns {THREE.Vector3} The same vector
+     */
+    direction(vector) {
+        const z = this.next() * 2 - 1;
+        const angle = this.next() * Math.PI * 2;
+        const radius = Math.sqrt(1 - z * z);
+        return vector.set(radius * Math.cos(angle), radius * Math.sin(angle), z);
+    }
+
+    /**
+     * Unbiased Fisher-Yates shuffle, in place
+     * @returns {Array} The same array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
@@ -4,13 +4,21 @@
  */
 
 import { CONFIG } from './config.js';
+import { AfterimagePass } from './afterimagePass.js';
 
 export class SceneManager {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} [options] - { antialias, pixelRatio (cap on devicePixelRatio) }
+     */
+    constructor(container, { antialias = true, pixelRatio = 2 } = {}) {
         this.container = container;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.antialias = antialias;
+        this.maxPixelRatio = pixelRatio;
+        this.afterimage = null;     // AfterimagePass, once something uses it
         this.clock = new THREE.Clock();
         
         this.init();
@@ -49,23 +57,65 @@ export class SceneManager {
         }
 
         // Create renderer
+        this.createRenderer();
+
+        // Add lights (no backdrop plane needed - using CSS background)
+        this.createLights();
+
+        // Handle window resize
+        window.addEventListener('resize', () => this.onResize());
+
+        console.log('✅ SceneManager initialized');
+    }
+
+    /**
+     * Create the WebGL renderer and add its canvas to the container
+     */
+    createRenderer() {
         this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
+            antialias: this.antialias,
             alpha: true, // Enable transparency to show backdrop
             powerPreference: 'high-performance'
         });
         this.renderer.setClearColor(0x000000, 0); // Fully transparent
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.maxPixelRatio));
         this.container.appendChild(this.renderer.domElement);
+    }
 
-        // Add lights (no backdrop plane needed - using CSS background)
-        this.createLights();
+    /**
+     * Cap the pixel ratio (lower = fewer pixels to fill)
+     * @param {number} ratio - Upper limit on window.devicePixelRatio
+     */
+    setPixelRatio(ratio) {
+        if (ratio === this.maxPixelRatio) return;
 
-        // Handle window resize
-        window.addEventListener('resize', () => this.onResize());
+        this.maxPixelRatio = ratio;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, ratio));
+        if (this.afterimage) {
+            this.afterimage.setSize();
+        }
+    }
 
-        console.log('✅ SceneManager initialized');
+    /**
+     * Turn antialiasing on or off
+     * WebGL fixes antialiasing when the context is created, so this swaps in a
+     * new renderer (expect a short stall while shaders recompile)
+     */
+    setAntialias(enabled) {
+        if (enabled === this.antialias) return;
+
+        this.antialias = enabled;
+        this.renderer.domElement.remove();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.createRenderer();
+
+        if (this.afterimage) {
+            this.afterimage.dispose();
+            this.afterimage = new AfterimagePass(this.renderer);
+        }
+        console.log(`🖥️ Antialiasing ${enabled ? 'on' : 'off'}`);
     }
 
     /**
@@ -212,6 +262,9 @@ export class SceneManager {
         this.camera.updateProjectionMatrix();
 
         this.renderer.setSize(width, height);
+        if (this.afterimage) {
+            this.afterimage.setSize();
+        }
         
         // Adjust camera position for mobile vs desktop
         const isMobile = width <= 768;
@@ -228,7 +281,22 @@ export class SceneManager {
      * Render scene
      */
     render() {
-        this.renderer.render(this.scene, this.camera);
+        if (this.afterimage) {
+            this.afterimage.render(this.scene, this.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Draw an object with fading afterimages (cheap trails for low-end devices)
+     * @param {THREE.Object3D} object
+     */
+    enableAfterimage(object) {
+        if (!this.afterimage) {
+            this.afterimage = new AfterimagePass(this.renderer);
+        }
+        this.afterimage.add(object);
     }
 
     /**
@@ -256,6 +324,9 @@ export class SceneManager {
      * Cleanup
      */
     dispose() {
+        if (this.afterimage) {
+            this.afterimage.dispose();
+        }
         this.renderer.dispose();
         window.removeEventListener('resize', () => this.onResize());
     }
@@ -5,10 +5,16 @@
 
 import { FortuneScroll } from './fortuneScroll.js';
 import { CONFIG } from './config.js';
+import { Random } from './random.js';
 
 export class ScrollManager {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Random} [random] - Source for the fortune draw
+     */
+    constructor(scene, random = new Random()) {
         this.scene = scene;
+        this.random = random;
         this.scrolls = []; // Array of 3 FortuneScroll instances
         this.selectedScrollIndex = null;
         this.isAnimating = false;
@@ -64,8 +70,7 @@ export class ScrollManager {
         ];
         
         // Shuffle and take first 'count' items
-        const shuffled = [...allFortunes].sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, count);
+        return this.random.shuffle([...allFortunes]).slice(0, count);
     }
 
     /**
@@ -162,6 +167,19 @@ export class ScrollManager {
         return null;
     }
 
+    /**
+     * Skip the rest of the display time and fade out the shown fortune
+     */
+    dismissDisplayed() {
+        if (this.state !== 'DISPLAYED') return;
+
+        const selectedScroll = this.scrolls[this.selectedScrollIndex];
+        if (selectedScroll) {
+            console.log('👋 Dismissing fortune scroll');
+            selectedScroll.animationProgress = CONFIG.SCROLL.DISPLAY_DURATION;
+        }
+    }
+
     /**
      * Hide all scrolls without reinitializing (for fireworks)
      */
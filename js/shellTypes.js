@@ -0,0 +1,119 @@
+/**
+ * ShellTypes.js
+ * Library of aerial shell bursts used by FireworksSystem
+ *
+ * Units: speed in world units/second, gravity in units/second², drag is the
+ * fraction of speed a star keeps after one second, life in seconds and size
+ * relative to CONFIG.FIREWORKS.PARTICLE_SIZE
+ *
+ * Shell definition:
+ * {
+ *     stars: 60,                 // Stars per burst
+ *     pattern: 'sphere',         // 'sphere' (all directions) or 'ring' (flat circle)
+ *     speed: 160,                // Initial star speed (speedJitter = ± fraction)
+ *     life, gravity, drag, size,
+ *     fadePower: 2,              // Alpha = 1 - lifeRatio^fadePower (higher = stays bright longer)
+ *     colors: 'shell',           // 'shell' (burst colour), 'gold', 'alternate' (burst colour + gold), 'palette'
+ *     fadeTo: 0xFF3300,          // Colour a star shifts to by the end of its life (null = keep)
+ *     trail: { interval, life, size, color },   // Optional sparks left behind each star
+ *     split: { stars, speed, life },            // Optional: each star splits when it burns out
+ *     crackle: { pops, life }                   // Optional: each star ends in crackling flashes
+ * }
+ */
+
+export const SHELL_TYPES = {
+    // Classic round burst of stars that change colour as they fall
+    peony: {
+        stars: 70,
+        pattern: 'sphere',
+        speed: 170,
+        speedJitter: 0.1,
+        life: 1.4,
+        gravity: 60,
+        drag: 0.25,
+        size: 1.2,
+        fadePower: 2,
+        colors: 'shell',
+        fadeTo: 0xFF3300
+    },
+
+    // Like a peony, but every star leaves a glittering gold tail
+    chrysanthemum: {
+        stars: 60,
+        pattern: 'sphere',
+        speed: 180,
+        speedJitter: 0.1,
+        life: 1.6,
+        gravity: 50,
+        drag: 0.3,
+        size: 1.0,
+        fadePower: 2,
+        colors: 'shell',
+        fadeTo: null,
+        trail: { interval: 0.04, life: 0.45, size: 0.5, color: 0xFFD27F }
+    },
+
+    // Slow, heavy gold stars that droop into long hanging trails
+    willow: {
+        stars: 50,
+        pattern: 'sphere',
+        speed: 110,
+        speedJitter: 0.15,
+        life: 3.0,
+        gravity: 30,
+        drag: 0.4,
+        size: 0.9,
+        fadePower: 3,
+        colors: 'gold',
+        fadeTo: 0x803000,
+        trail: { interval: 0.06, life: 0.9, size: 0.45, color: 0xC08030 }
+    },
+
+    // Flat ring of stars, tilted randomly
+    ring: {
+        stars: 48,
+        pattern: 'ring',
+        speed: 170,
+        speedJitter: 0.03,
+        life: 1.3,
+        gravity: 40,
+        drag: 0.25,
+        size: 1.2,
+        fadePower: 2,
+        colors: 'alternate',
+        fadeTo: null
+    },
+
+    // A few heavy stars that each split into a cross of four
+    crossette: {
+        stars: 12,
+        pattern: 'sphere',
+        speed: 140,
+        speedJitter: 0.1,
+        life: 0.7,
+        gravity: 40,
+        drag: 0.35,
+        size: 1.5,
+        fadePower: 1,
+        colors: 'shell',
+        fadeTo: 0xFFFFFF,
+        trail: { interval: 0.03, life: 0.3, size: 0.5, color: null },
+        split: { stars: 4, speed: 90, life: 0.9 }
+    },
+
+    // Gold stars that burn out in crackling white flashes
+    crackle: {
+        stars: 50,
+        pattern: 'sphere',
+        speed: 150,
+        speedJitter: 0.2,
+        life: 0.9,
+        gravity: 60,
+        drag: 0.3,
+        size: 0.9,
+        fadePower: 1,
+        colors: 'gold',
+        fadeTo: null,
+        crackle: { pops: 3, life: 0.15 }
+    }
+};
@@ -4,9 +4,14 @@
  */
 
 import { CONFIG } from './config.js';
+import { Random } from './random.js';
 
 export class TextToPoints {
-    constructor() {
+    /**
+     * @param {Random} [random] - Source for sampling, depth and colour (seed it for a repeatable point cloud)
+     */
+    constructor(random = new Random()) {
+        this.random = random;
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d');
     }
@@ -14,9 +19,10 @@ export class TextToPoints {
     /**
      * Convert text string to 3D point cloud
      * @param {string} text - Text to convert (e.g., "新年快乐")
-     * @returns {Array} Array of {x, y, z, color} points
+     * @param {Random} [random] - Source to sample with (defaults to this converter's)
+     * @returns {Array} Array of {x, y, z, color, charIndex} points
      */
-    convertToPoints(text = CONFIG.TEXT.CONTENT) {
+    convertToPoints(text = CONFIG.TEXT.CONTENT, random = this.random) {
         // Use mobile settings on smaller screens
         const isMobile = window.innerWidth <= 768;
         const fontSize = isMobile ? CONFIG.TEXT.MOBILE_FONT_SIZE : CONFIG.TEXT.FONT_SIZE;
@@ -56,17 +62,17 @@ export class TextToPoints {
                     const alpha = pixels[index + 3];
                     
                     // If pixel is visible and passes random sampling
-                    if (alpha > 128 && Math.random() < density) {
+                    if (alpha > 128 && random.next() < density) {
                         // Convert 2D canvas coords to 3D world coords
                         // Center each character horizontally
                         const worldX = (x - this.canvas.width / 2) + 
                                       (charIndex - (characters.length - 1) / 2) * spacingX;
                         const worldY = -(y - this.canvas.height / 2) + positionY;
                         // Add z-depth variation for layering
-                        const worldZ = CONFIG.TEXT.POSITION_Z + (Math.random() - 0.5) * CONFIG.TEXT.Z_VARIATION;
+                        const worldZ = CONFIG.TEXT.POSITION_Z + random.spread(CONFIG.TEXT.Z_VARIATION);
                         
                         // Assign color (weighted towards gold, with some variety)
-                        const colorRoll = Math.random();
+                        const colorRoll = random.next();
                         let color;
                         if (colorRoll < 0.6) {
                             color = CONFIG.COLORS.GOLD;
@@ -80,7 +86,8 @@ export class TextToPoints {
                             x: worldX,
                             y: worldY,
                             z: worldZ,
-                            color: color
+                            color: color,
+                            charIndex: charIndex
                         });
                     }
                 }
@@ -93,15 +100,24 @@ export class TextToPoints {
         return allPoints;
     }
 
+    /**
+     * Random source for resampling at the current CONFIG.TEXT.SAMPLE_DENSITY
+     * A fork named after the density, so resamples don't draw from (and shift)
+     * the main sequence and a seed always gives the same cloud per density
+     */
+    densityRandom() {
+        return this.random.fork(`density:${CONFIG.TEXT.SAMPLE_DENSITY}`);
+    }
+
     /**
      * Add slight randomness to points for organic feel
      */
     jitterPoints(points, amount = 5) {
         return points.map(p => ({
             ...p,
-            x: p.x + (Math.random() - 0.5) * amount,
-            y: p.y + (Math.random() - 0.5) * amount,
-            z: p.z + (Math.random() - 0.5) * amount
+            x: p.x + this.random.spread(amount),
+            y: p.y + this.random.spread(amount),
+            z: p.z + this.random.spread(amount)
         }));
     }
 
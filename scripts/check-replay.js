@@ -0,0 +1,47 @@
+/**
+ * check-replay.js
+ * Replays the landmark recordings in public/recordings through GestureDetector
+ * (no browser, camera or MediaPipe model) and checks the gestures each one is
+ * known to contain
+ *
+ * Run with `npm run check:replay`
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// The detector only touches the DOM for its preview canvas (which replays can do
+// without) and localStorage for calibration profiles (defaults are used)
+globalThis.document = { getElementById: () => null };
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+const { GestureDetector } = await import('../js/gestureDetector.js');
+const { LandmarkReplay } = await import('../js/landmarkReplay.js');
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Recording → fist-to-open triggers expected, by hand
+const FIXTURES = [
+    // The user's right hand, labelled 'Left' by MediaPipe as the raw (unmirrored) video is sent
+    { file: 'right-hand-fist-open.json', triggers: ['Right'] }
+];
+
+let failures = 0;
+FIXTURES.forEach(({ file, triggers }) => {
+    const recording = JSON.parse(readFileSync(join(root, 'public', 'recordings', file), 'utf8'));
+
+    const detector = new GestureDetector();
+    const fired = [];
+    detector.onGestureTrigger = (palm, hand) => fired.push(hand);
+
+    const replay = new LandmarkReplay(detector);
+    replay.recording = recording;
+    replay.runAll();
+
+    const passed = fired.join(',') === triggers.join(',');
+    console.log(`${passed ? '✅' : '❌'} ${file}: triggered by [${fired.join(', ')}], expected [${triggers.join(', ')}]`);
+    if (!passed) failures++;
+});
+
+process.exit(failures > 0 ? 1 : 0);
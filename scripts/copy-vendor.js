@@ -0,0 +1,37 @@
+/**
+ * copy-vendor.js
+ * Copies MediaPipe Hands (model + wasm) and Three.js from
+ * node_modules into public/vendor so the app runs without internet access
+ *
+ * Runs automatically after `npm install` and before `npm run dev` / `npm run build`
+ */
+
+import { cpSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const vendorDir = join(root, 'public', 'vendor');
+
+// [source in node_modules, destination in public/vendor]
+const ASSETS = [
+    ['@mediapipe/hands', 'mediapipe/hands'],
+    ['three/build/three.min.js', 'three/three.min.js']
+];
+
+let missing = 0;
+ASSETS.forEach(([source, destination]) => {
+    const from = join(root, 'node_modules', source);
+    const to = join(vendorDir, destination);
+
+    if (!existsSync(from)) {
+        console.warn(`⚠️ ${source} not found - run npm install (the app will fall back to the CDN if enabled)`);
+        missing++;
+        return;
+    }
+
+    mkdirSync(dirname(to), { recursive: true });
+    cpSync(from, to, { recursive: true });
+});
+
+console.log(`📦 Vendor assets copied to public/vendor (${ASSETS.length - missing}/${ASSETS.length})`);